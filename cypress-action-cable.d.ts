@@ -6,13 +6,32 @@ interface ActionCableSubscription {
   channel: string | object;
   params: any;
   connected: boolean;
+  /** Lifecycle state */
+  state: 'pending' | 'confirmed' | 'rejected' | 'unsubscribed';
+  confirmed: boolean;
   perform: (action: string, data?: any) => void;
   received?: (data: any) => void;
 }
 
 interface ActionCableMessage {
-  type: 'incoming' | 'outgoing';
+  /** incoming: server to client, outgoing: client to server, system: connection and subscription events */
+  type: 'incoming' | 'outgoing' | 'system';
+  /** System event name: connect, disconnect, subscribe, unsubscribe, confirm */
+  event?: string;
+  /** Channel identifier as a JSON string, null for connection-level events */
+  identifier: string | null;
+  /** Channel name taken from the identifier */
+  channel: string | null;
+  /** Parsed message data; for outgoing messages this includes the action */
   data: any;
+  /** Performed action, outgoing messages only */
+  action?: string;
+  /** Wire connection the message went over, null for in-process subscriptions */
+  connectionId: string | null;
+  /** Name of the peer the message concerns, absent for the application's traffic */
+  peer?: string;
+  /** Named stream an incoming message was broadcast to with cy.acBroadcast() */
+  stream?: string;
   timestamp: string;
 }
 
@@ -20,17 +39,314 @@ interface ConversationMessage {
   type: 'incoming' | 'outgoing';
   action?: string;
   data: any;
+  /** Incoming steps: milliseconds to wait before sending */
   delay?: number;
+  /** Outgoing steps: milliseconds to wait for the client */
+  timeout?: number;
+}
+
+interface ConversationStepReport extends ConversationMessage {
+  index: number;
+  /** Incoming: delivered to a subscription. Outgoing: the client sent a matching message */
+  matched: boolean;
+  /** Journal entry matched by an outgoing step */
+  message: ActionCableMessage | null;
+}
+
+type SubscriptionPolicy = boolean | ((identifier: { channel: string; [key: string]: any }, subscription: ActionCableSubscription) => 'confirm' | 'reject' | 'pending' | boolean);
+
+/** Picks subscriptions by their parsed identifier */
+type SubscriptionPredicate = (identifier: { channel: string; [key: string]: any }, subscription: ActionCableSubscription) => boolean;
+
+interface ChannelHandlerContext {
+  /** Identifier object of the performing subscription */
+  identifier: { channel: string; [key: string]: any };
+  /** Identifier without the channel name */
+  params: any;
+  action: string;
+  subscription: ActionCableSubscription;
+  /** Reply to the performing subscription only */
+  transmit(message: any): boolean;
+  /** Send to every subscription with the performer's identifier */
+  broadcast(message: any): boolean;
+  /** Send to every subscription with another identifier */
+  broadcastTo(channelIdentifier: string | object, message: any): boolean;
+  /** Send to every subscription streaming from a named stream, like ActionCable.server.broadcast; returns how many consumers handled it */
+  broadcastToStream(stream: string, message: any): number;
+  /** Name of the peer that performed, null for the application */
+  peer: string | null;
+}
+
+/** Server-side behavior of a channel, see cy.acDefineChannel() */
+interface ChannelDefinition {
+  /**
+   * Stream name(s) a subscription joins once confirmed, from its identifier params, like stream_from.
+   * streamFor(model) names the broadcasting the way stream_for does, e.g. 'notifications:7'
+   */
+  streams?: (params: any, ctx: { channel: string; streamFor(model: any): string }) => string | string[];
+  /** Handlers by action name, as with cy.acHandle() */
+  actions?: { [action: string]: ChannelHandler };
+  /** Contract traffic on the channel is validated against, as with cy.acDefineContract() */
+  contract?: ChannelContract;
+}
+
+/** JSON Schema; true accepts anything, false nothing */
+type JSONSchema = boolean | { [keyword: string]: any };
+
+/** What traffic on a channel may look like; every part is optional */
+interface ChannelContract {
+  /** Schema of the identifier params, without channel */
+  params?: JSONSchema;
+  /** Allowed actions, with the schema of each payload (without its action key) */
+  actions?: { [action: string]: JSONSchema };
+  /** Schema of messages to subscribers */
+  broadcasts?: JSONSchema;
+}
+
+/** Contracts exported by the Rails application */
+interface ChannelContractsExport {
+  version: 1;
+  channels: { [channelName: string]: ChannelContract };
+  /** Schemas the contracts $ref as '#/definitions/name' */
+  definitions?: { [name: string]: JSONSchema };
+}
+
+/** Virtual peer client yielded by cy.acPeer() */
+interface ActionCablePeer {
+  name: string;
+  /** Identifier that perform and unsubscribe address */
+  current: string | null;
+  /** Server messages the peer received, oldest first */
+  getMessages(channelName?: string): Array<{ identifier: string; channel: string; data: any; timestamp: string }>;
+  getSubscription(channelIdentifier?: string | object): ActionCableSubscription | undefined;
+}
+
+type ChannelHandler = (data: any, ctx: ChannelHandlerContext) => void;
+
+/** 'silent', 'error', 'info' or 'debug', from quietest to most verbose */
+type LogLevel = 'silent' | 'error' | 'info' | 'debug';
+
+type LoggingOption = boolean | LogLevel | {
+  level?: LogLevel;
+  /** Only log entries about these channels */
+  channels?: string[];
+  /** Show entries in the Cypress command log, with their frame, identifier and data in the console props */
+  commandLog?: boolean;
+};
+
+/** Fail the test on unhandled traffic: true runs every check; an object runs the checks it sets to true, or all when it sets none */
+type StrictOption = boolean | {
+  /** Messages and stream broadcasts no subscription receives */
+  unhandledBroadcasts?: boolean;
+  /** perform() calls of actions without a handler */
+  unknownActions?: boolean;
+  /** Subscriptions to channels no handler, channel definition or contract sets up */
+  unknownChannels?: boolean;
+  /** Errors thrown by in-process subscription callbacks */
+  callbackErrors?: boolean;
+  /** Traffic breaking a channel contract */
+  contracts?: boolean;
+  /** Channel names, 'Channel#action', stream names, patterns or predicates to let through */
+  allow?: Array<string | RegExp | ((violation: { kind: string; message: string; channel: string | null; action?: string; stream: string | null }) => boolean)>;
+};
+
+interface MockActionCableOptions {
+  /** Cable URL(s) to mock, when passing options as the only argument */
+  url?: string | string[];
+  /** Subscription policy: true confirms, false leaves pending, or decide per identifier (default: true) */
+  autoConfirm?: SubscriptionPolicy;
+  /** Milliseconds before connecting clients receive the welcome message (default: 0) */
+  welcomeDelay?: number;
+  /** Log level, true ('debug'), false ('silent') or { level, channels, commandLog } (default: Cypress.env('actionCableLogging'), else 'error') */
+  logging?: LoggingOption;
+  /** Fail the test on unhandled broadcasts, unknown actions and channels, callback errors and broken contracts (default: Cypress.env('actionCableStrict'), else off) */
+  strict?: StrictOption;
+  /** Keepalive pings to WebSocket clients in milliseconds, or false for none (default: { interval: 3000, jitter: 0 }) */
+  ping?: { interval?: number; jitter?: number } | boolean;
+  /** Network profile applied from the start (default: 'online') */
+  network?: NetworkProfile;
+  /** Connection policy like ApplicationCable::Connection#connect (default: welcome everyone) */
+  authenticate?: AuthenticationPolicy | null;
+  /** 'app' runs mock delays on the application's timers, so cy.clock() drives them; 'virtual' only moves with cy.acTick() (default: 'app') */
+  timing?: 'app' | 'virtual';
+  /** Traffic while the network is down (default: { perform: 'drop', broadcasts: 'drop', replay: true }) */
+  offline?: OfflinePolicy;
+  /** Fixture file of a recorded session to play back, or { fixture, pace } */
+  replay?: string | { fixture: string; pace?: ReplayPace };
+  /** Fixture file to record the real cable into instead of mocking it; save it with cy.acSaveRecording() */
+  record?: string;
+  /** Channel contracts to validate traffic against, or the fixture file of a Rails-side export */
+  contracts?: string | ChannelContractsExport | { [channelName: string]: ChannelContract };
+}
+
+/** 'original' keeps the recorded delays, 'compressed' drops them, a number speeds them up by that factor */
+type ReplayPace = 'original' | 'compressed' | number;
+
+interface RecordedSession {
+  version: number;
+  recordedAt: string;
+  urls: string[];
+  /** Identifiers the application subscribed to */
+  channels: string[];
+  /** Milliseconds */
+  duration: number;
+  frames: Array<{ at: number; connection: number; direction: 'up' | 'down'; frame: any }>;
+}
+
+interface TrafficLog {
+  version: number;
+  creator: string;
+  /** Set in exported logs */
+  test: { title: string; spec: string; state: string; attempt: number } | null;
+  startedAt: string | null;
+  endedAt: string | null;
+  connections: Array<{
+    id: string;
+    /** Query string values '[redacted]' unless the plugin's redact option is false */
+    url: string | null;
+    /** Values '[redacted]' unless the plugin's redact option is false */
+    params: { [key: string]: string };
+    protocols: string[];
+    /** Cookie names only */
+    cookies: string[];
+    outcome: 'welcome' | 'reject' | 'close';
+    open: boolean;
+    pings: number | null;
+  }>;
+  subscriptions: Array<{
+    identifier: string;
+    channel: string;
+    connectionId: string | null;
+    state: 'pending' | 'confirmed' | 'rejected' | 'unsubscribed';
+    subscribedAt: string;
+    settledAt: string | null;
+    unsubscribedAt: string | null;
+  }>;
+  /** Journal entries with their offset in ms since startedAt */
+  entries: Array<ActionCableMessage & { offset: number }>;
+  network: { up: NetworkDirectionStats; down: NetworkDirectionStats } | null;
+}
+
+interface ReplayProgress {
+  /** Every recorded subscription was played back to the end */
+  done: boolean;
+  scripts: number;
+  playbacks: Array<{ identifier: string; step: number; steps: number; waitingFor: string | null; done: boolean }>;
+}
+
+interface OfflinePolicy {
+  /** In-process client actions: lost, thrown from perform(), or sent once back online */
+  perform?: 'drop' | 'error' | 'buffer';
+  /** Server messages: lost, or held until the network is back */
+  broadcasts?: 'drop' | 'buffer';
+  /** Deliver held broadcasts once subscriptions are back (true) or discard them (false) */
+  replay?: boolean;
+}
+
+interface LostMessageFilter {
+  channel?: string;
+  params?: any;
+  /** 'up' for client actions, 'down' for server messages */
+  direction?: 'up' | 'down';
+  reason?: 'offline' | 'discarded' | 'unsubscribed';
+  action?: any;
+  data?: any;
+}
+
+interface LinkConditions {
+  /** Milliseconds */
+  latency?: number;
+  /** Milliseconds of random variation around the latency */
+  jitter?: number;
+  /** Probability (0-1) that a frame is lost */
+  drop?: number;
+  /** Probability (0-1) that a frame is overtaken by later ones */
+  reorder?: number;
+  /** Throughput in kbit/s, 0 for unlimited */
+  bandwidth?: number;
+}
+
+type NetworkProfile = 'online' | '3g' | 'slow-3g' | 'flaky-wifi' | 'satellite' | (LinkConditions & {
+  /** Client to server overrides */
+  up?: LinkConditions;
+  /** Server to client overrides */
+  down?: LinkConditions;
+  seed?: number;
+});
+
+interface NetworkDirectionStats {
+  sent: number;
+  delivered: number;
+  dropped: number;
+  reordered: number;
+}
+
+interface ConnectionRequest {
+  /** URL the client connected to, query string included */
+  url: string | null;
+  /** Query string parameters */
+  params: { [key: string]: string };
+  /** WebSocket subprotocols offered by the client */
+  protocols: string[];
+  /** Cookies sent with the handshake (non-HttpOnly cookies of the application) */
+  cookies: { [key: string]: string };
+  connectionId: string;
+  outcome: 'welcome' | 'reject' | 'close';
+}
+
+/** 'welcome' (or true) accepts, 'reject' (or false) sends an unauthorized disconnect, 'close' drops the socket */
+type AuthenticationPolicy = (request: ConnectionRequest) => 'welcome' | 'reject' | 'close' | boolean | void;
+
+/** Single-object form accepted by every channel command */
+interface ChannelCommandOptions {
+  channel: string;
+  /** Identifier parameters besides the channel name */
+  params?: any;
+}
+
+interface MessageFilter {
+  channel?: string;
+  /** Identifier parameters; identifiers must contain them */
+  params?: any;
+  type?: 'incoming' | 'outgoing' | 'system';
+  /** System event name */
+  event?: string;
+  /** Performed action (string, RegExp or predicate) */
+  action?: any;
+  /** A peer's name, or null for the application's messages only */
+  peer?: string | null;
+  /** Partial match on the message data; may contain matchers */
+  data?: any;
+}
+
+interface AssertMessageOptions {
+  /** Match only the given keys, at any depth, instead of the whole message */
+  partial?: boolean;
+  /** Channel parameters, with a channel name argument */
+  params?: any;
+  /** Only consider messages performing this action (string, RegExp or predicate) */
+  action?: any;
+  /** Look at what this peer sent instead of the application */
+  peer?: string;
+  /** Exact number of matching messages */
+  times?: number;
+  /** Expected data of a message the match must come after */
+  after?: any;
+  /** Expected data of a message the match must come before */
+  before?: any;
+  /** How long to retry, in milliseconds (default: defaultCommandTimeout) */
+  timeout?: number;
 }
 
 declare namespace Cypress {
-  interface Chainable {
+  interface Chainable<Subject = any> {
     /**
      * Initialize Action Cable mocking with WebSocket support
-     * @param url - The WebSocket URL to mock (default: 'ws://localhost:3000/cable')
+     * @param url - The WebSocket URL(s) to mock, or a path resolved against baseUrl (default: 'ws://localhost:3000/cable')
      * @param options - Configuration options for the mock
      */
-    mockActionCable(url?: string, options?: any): Chainable;
+    mockActionCable(url?: string | string[], options?: MockActionCableOptions): Chainable;
+    mockActionCable(options: MockActionCableOptions): Chainable;
 
     /**
      * Subscribe to an Action Cable channel
@@ -38,70 +354,289 @@ declare namespace Cypress {
      * @param params - Channel parameters
      */
     acSubscribe(channelName: string | object, params?: any): Chainable;
+    acSubscribe(options: ChannelCommandOptions): Chainable;
 
     /**
-     * Simulate receiving a message on a channel  
+     * Simulate receiving a message on a channel
+     * Only subscriptions with this identifier receive it, whatever its key order
+     * Three arguments no subscription tells apart from the legacy (channel, params, data)
+     * order are read as documented, with a warning; the options object is unambiguous
      * @param channelName - Name of the channel
      * @param data - Message data to receive
      * @param params - Optional channel parameters
      */
     acReceiveMessage(channelName: string | object, data: any, params?: any): Chainable;
+    acReceiveMessage(options: ChannelCommandOptions & { data: any }): Chainable;
 
     /**
      * Simulate a conversation with multiple messages
      * @param channelName - Name of the channel
      * @param messages - Array of conversation messages
      * @param params - Optional channel parameters
+     * @param options - failOnMismatch (default: true) and the default outgoing step timeout
      */
-    acSimulateConversation(channelName: string | object, messages: ConversationMessage[], params?: any): Chainable;
+    acSimulateConversation(channelName: string | object, messages: Array<ConversationMessage | any>, params?: any, options?: { timeout?: number; failOnMismatch?: boolean }): Chainable;
+    acSimulateConversation(options: ChannelCommandOptions & { messages: Array<ConversationMessage | any>; timeout?: number; failOnMismatch?: boolean }): Chainable;
 
     /**
-     * Get a subscription for a channel
-     * @param channelName - Name of the channel
+     * Get a subscription for a channel, or null. Retries with chained assertions
+     * Key order doesn't matter; a channel name or partial params match too
+     * @param channelName - Name of the channel, identifier object or predicate
      * @param params - Channel parameters
      */
-    acSubscription(channelName: string | object, params?: any): Chainable;
+    acSubscription(channelName: string | object | SubscriptionPredicate, params?: any): Chainable<ActionCableSubscription | null>;
+    acSubscription(options: ChannelCommandOptions & { timeout?: number }): Chainable<ActionCableSubscription | null>;
 
     /**
-     * Get all Action Cable messages
+     * Query the message journal. Retries with chained assertions
+     * @param filter - Channel name or message filter
+     * @param options - timeout overrides defaultCommandTimeout
      */
-    acGetMessages(): Chainable;
+    acMessages(filter?: string | MessageFilter, options?: { timeout?: number }): Chainable<ActionCableMessage[]>;
 
     /**
-     * Clear all Action Cable messages
+     * Get all Action Cable messages, or those of one channel. Retries with chained assertions
+     * @param channelName - Optional channel name or identifier object
+     * @param params - Channel parameters
      */
-    acClearMessages(): Chainable;
+    acGetMessages(channelName?: string | object, params?: any): Chainable<ActionCableMessage[]>;
+    acGetMessages(options: ChannelCommandOptions): Chainable<ActionCableMessage[]>;
 
     /**
-     * Assert that a message was sent
-     * @param expectedData - Expected message data
+     * Clear all Action Cable messages, or those of one channel
+     * @param channelName - Optional channel name or identifier object
+     * @param params - Channel parameters
+     */
+    acClearMessages(channelName?: string | object, params?: any): Chainable;
+    acClearMessages(options: ChannelCommandOptions): Chainable;
+
+    /**
+     * Assert that a message was sent; yields the matching messages
+     * Expected data may contain any(Type) matchers, regular expressions and predicates
+     * @param channelName - Optional channel the message was performed on
+     * @param expectedData - Expected message data, action included
      * @param options - Assertion options
      */
-    acAssertMessageSent(expectedData: any, options?: any): Chainable;
+    acAssertMessageSent(expectedData: any, options?: AssertMessageOptions): Chainable<ActionCableMessage[]>;
+    acAssertMessageSent(channelName: string, expectedData: any, options?: AssertMessageOptions): Chainable<ActionCableMessage[]>;
+    acAssertMessageSent(options: ChannelCommandOptions & AssertMessageOptions & { data: any }): Chainable<ActionCableMessage[]>;
+
+    /**
+     * Assert that no matching message was sent
+     * @param channelName - Optional channel the message would be performed on
+     * @param expectedData - Message data that must not have been sent
+     * @param options - Assertion options; times does not apply
+     */
+    acAssertMessageNotSent(expectedData: any, options?: AssertMessageOptions): Chainable;
+    acAssertMessageNotSent(channelName: string, expectedData: any, options?: AssertMessageOptions): Chainable;
+    acAssertMessageNotSent(options: ChannelCommandOptions & AssertMessageOptions & { data: any }): Chainable;
 
     /**
      * Disconnect Action Cable and clean up
      */
     acDisconnect(): Chainable;
 
+    /**
+     * End the connection from the server side with a Rails disconnect message
+     * @param options - reason (default: 'server_restart') and whether clients may reconnect (default: true)
+     */
+    acServerDisconnect(options?: { reason?: 'unauthorized' | 'invalid_request' | 'server_restart' | 'remote'; reconnect?: boolean }): Chainable;
+
+    /**
+     * Shape traffic between the application and the mock server
+     * @param profile - Named profile or custom conditions (default: 'online')
+     * @param options - seed for repeatable drops, jitter and reordering
+     */
+    acNetwork(profile?: NetworkProfile, options?: { seed?: number }): Chainable;
+
+    /**
+     * Frame counts per direction since the network conditions were set. Retries with chained assertions
+     */
+    acNetworkStats(options?: { timeout?: number }): Chainable<{ up: NetworkDirectionStats; down: NetworkDirectionStats }>;
+
+    /**
+     * Let time pass on the mock's clock: instantly in virtual timing, cy.tick() under cy.clock(), a real wait otherwise
+     * @param ms - Milliseconds
+     * @param options - log: false keeps it out of the command log
+     */
+    acTick(ms: number, options?: { log?: boolean }): Chainable;
+
     /**
      * Simulate network interruption for testing reconnection
-     * @param duration - Duration of interruption in milliseconds
+     * @param duration - Duration of interruption in milliseconds, on the mock's clock
      */
     acSimulateNetworkInterruption(duration?: number): Chainable;
 
+    /**
+     * Save the session recorded since cy.mockActionCable({ record }) under the fixtures folder
+     * @param fixture - File name (default: the record option)
+     */
+    acSaveRecording(fixture?: string): Chainable<RecordedSession>;
+
+    /**
+     * Connections, subscriptions and every journal entry of the running test, as exported for failed tests
+     */
+    acTrafficLog(options?: { timeout?: number }): Chainable<TrafficLog>;
+
+    /**
+     * Where the replay of a recorded session stands. Retries with chained assertions
+     */
+    acReplayProgress(options?: { timeout?: number }): Chainable<ReplayProgress>;
+
+    /**
+     * Take the network down until cy.acOnline(); traffic follows the offline policies
+     */
+    acOffline(): Chainable;
+
+    /**
+     * Bring the network back; buffered actions go out, buffered broadcasts are replayed or discarded
+     */
+    acOnline(): Chainable;
+
+    /**
+     * Messages lost to the network. Retries with chained assertions
+     * @param filter - Channel name or { channel, params, direction, reason, action, data }
+     */
+    acLostMessages(filter?: string | LostMessageFilter, options?: { timeout?: number }): Chainable<Array<ActionCableMessage & { direction: 'up' | 'down'; reason: string }>>;
+
     /**
      * Wait for Action Cable connection to be established
      * @param timeout - Timeout in milliseconds
      */
     acWaitForConnection(timeout?: number): Chainable;
 
+    /**
+     * Change the connection authentication policy for the rest of the test
+     * @param policy - Decides per connection request; null welcomes everyone
+     */
+    acAuthenticate(policy: AuthenticationPolicy | null): Chainable;
+
+    /**
+     * Credentials presented by every WebSocket client, oldest first. Retries with chained assertions
+     */
+    acConnectionRequests(options?: { timeout?: number }): Chainable<ConnectionRequest[]>;
+
+    /**
+     * Assert the credentials of the latest connection (partial match, matchers allowed)
+     * @param expected - Expected url, params, protocols and cookies
+     */
+    acAssertCredentials(expected: Partial<ConnectionRequest>, options?: { timeout?: number }): Chainable<ConnectionRequest[]>;
+
+    /**
+     * Stop keepalive pings so the client detects a stale connection and reconnects
+     */
+    acPausePings(): Chainable;
+
+    /**
+     * Send keepalive pings again
+     */
+    acResumePings(): Chainable;
+
+    /**
+     * Number of connections clients opened since the page loaded to replace one they lost,
+     * counted per consumer. Retries with chained assertions
+     * @param options - timeout overrides defaultCommandTimeout
+     */
+    acReconnectAttempts(options?: { timeout?: number }): Chainable<number>;
+
     /**
      * Wait for subscription to be confirmed
-     * @param channelName - Name of the channel
+     * Key order doesn't matter; a channel name or partial params match too
+     * @param channelName - Name of the channel, identifier object or predicate
      * @param params - Channel parameters
      * @param timeout - Timeout in milliseconds
      */
-    acWaitForSubscription(channelName: string | object, params?: any, timeout?: number): Chainable;
+    acWaitForSubscription(channelName: string | object | SubscriptionPredicate, params?: any, timeout?: number): Chainable<ActionCableSubscription>;
+    acWaitForSubscription(options: ChannelCommandOptions & { timeout?: number }): Chainable<ActionCableSubscription>;
+
+    /**
+     * Confirm a pending subscription
+     * @param channelName - Name of the channel
+     * @param params - Channel parameters
+     */
+    acConfirmSubscription(channelName: string | object, params?: any): Chainable;
+    acConfirmSubscription(options: ChannelCommandOptions): Chainable;
+
+    /**
+     * Reject a pending subscription; the consumer's rejected callback fires
+     * @param channelName - Name of the channel
+     * @param params - Channel parameters
+     */
+    acRejectSubscription(channelName: string | object, params?: any): Chainable;
+    acRejectSubscription(options: ChannelCommandOptions): Chainable;
+
+    /**
+     * Change the subscription policy for the rest of the test
+     * @param policy - true confirms, false leaves pending, or a function deciding per identifier
+     */
+    acAutoConfirm(policy: SubscriptionPolicy): Chainable;
+
+    /**
+     * Register a fake server-side channel action that answers client perform() calls
+     * @param channelName - Channel class name, e.g. 'ChatChannel'
+     * @param action - Action name, e.g. 'speak'
+     * @param handler - Called with the performed data (action included) and a context to reply with
+     */
+    acHandle(channelName: string, action: string, handler: ChannelHandler): Chainable;
+    acHandle(options: { channel: string; action: string; handler: ChannelHandler }): Chainable;
+
+    /**
+     * Declare how a channel behaves on the server: the streams its subscriptions join and its actions
+     * @param channelName - Channel class name, e.g. 'ChatChannel'
+     * @param definition - { streams, actions }
+     * @example cy.acDefineChannel('ChatChannel', { streams: params => `chat_${params.room_id}` })
+     */
+    acDefineChannel(channelName: string, definition: ChannelDefinition): Chainable;
+
+    /**
+     * Declare a channel's contract: subscriptions, client actions and server messages breaking it fail the test with strict: { contracts: true }, or are logged
+     * @param channelName - Channel class name, e.g. 'ChatChannel'
+     * @param contract - { params, actions, broadcasts }
+     * @example cy.acDefineContract('ChatChannel', { actions: { speak: { type: 'object', required: ['message'] } } })
+     */
+    acDefineContract(channelName: string, contract: ChannelContract): Chainable;
+
+    /**
+     * Declare the contracts of a Rails-side export
+     * @param contracts - Fixture file of the export, or the export itself
+     */
+    acLoadContracts(contracts: string | ChannelContractsExport): Chainable;
+
+    /**
+     * Broadcast to a named stream: every subscription streaming from it receives the message, on every consumer.
+     * Yields how many consumers handled it
+     * @param stream - Stream name, or { channel, model } for the stream stream_for(model) joins
+     * @param data - Message data
+     * @example cy.acBroadcast('chat_42', { message: 'Hi' })
+     */
+    acBroadcast(stream: string | { channel: string; model: any }, data?: any): Chainable<number>;
+
+    /**
+     * A virtual peer client: another user on the mocked cable, created on first use.
+     * Its actions run through the channel handlers, its subscriptions receive broadcasts
+     * @param name - Name of the peer, e.g. 'alice'
+     * @example cy.acPeer('alice').acPeerSubscribe('DocumentChannel', { document_id: 1 }).acPeerPerform('content_changed', { content: 'Hi' })
+     */
+    acPeer(name: string): Chainable<ActionCablePeer>;
+
+    /**
+     * Subscribe the peer to a channel; chain off cy.acPeer(). Later acPeerPerform and acPeerUnsubscribe address it
+     * @param channelName - Channel name or identifier object
+     * @param params - Channel parameters
+     */
+    acPeerSubscribe(channelName: string | object, params?: any): Chainable<ActionCablePeer>;
+    acPeerSubscribe(options: { channel: string; params?: any }): Chainable<ActionCablePeer>;
+
+    /**
+     * Perform an action as the peer, on the channel it subscribed to last; chain off cy.acPeer()
+     * @param action - Action name
+     * @param data - Action data
+     */
+    acPeerPerform(action: string, data?: any): Chainable<ActionCablePeer>;
+
+    /**
+     * Unsubscribe the peer from the channel it subscribed to last; chain off cy.acPeer()
+     */
+    acPeerUnsubscribe(): Chainable<ActionCablePeer>;
   }
 }
@@ -101,6 +101,21 @@ describe('BankID Authentication Flow', () => {
       .should('contain', 'Authentication was cancelled');
   });
 
+  it('is expected to redirect to login when the cable connection is refused', () => {
+    // Refuse the connection the way ApplicationCable::Connection#connect
+    // does for an expired session
+    cy.acAuthenticate(({ cookies }) => cookies.bankid_session === 'valid' ? 'welcome' : 'reject');
+    cy.setCookie('bankid_session', 'expired');
+    cy.reload();
+    
+    cy.acAssertCredentials({ cookies: { bankid_session: 'expired' } });
+    cy.acConnectionRequests().should(requests => {
+      expect(requests[requests.length - 1].outcome).to.eq('reject');
+    });
+    
+    cy.url().should('include', '/login');
+  });
+
   it('is expected to handle network interruption during authentication', () => {
     cy.acSubscribe('AuthStatusChannel', { session_id: 'network-test' });
     cy.acWaitForSubscription('AuthStatusChannel', { session_id: 'network-test' });
@@ -15,10 +15,7 @@ describe('Real-time Collaboration Features', () => {
 
   it('is expected to sync document changes in real-time', () => {
     // Subscribe to document collaboration channel
-    cy.acSubscribe('DocumentChannel', { 
-      document_id: '123',
-      user_id: 'current_user' 
-    });
+    cy.acSubscribe('DocumentChannel', { document_id: '123' });
     cy.acWaitForSubscription('DocumentChannel');
     
     // Make a change to the document
@@ -33,16 +30,25 @@ describe('Real-time Collaboration Features', () => {
       cursor_position: 32
     });
     
-    // Simulate another user making changes
-    cy.acReceiveMessage('DocumentChannel', {
-      action: 'content_changed',
-      user_id: 'other_user',
-      user_name: 'Alice',
-      content: 'This is a collaborative document edited by Alice',
-      cursor_position: 48,
-      change_id: 'change_001'
+    // The server fans every change out to all editors of the document
+    cy.acHandle('DocumentChannel', 'content_changed', (data, ctx) => {
+      ctx.broadcast({
+        action: 'content_changed',
+        user_id: ctx.peer || 'current_user',
+        user_name: ctx.peer === 'alice' ? 'Alice' : 'You',
+        content: data.content,
+        cursor_position: data.cursor_position
+      });
     });
     
+    // Another user edits the same document through the same channel
+    cy.acPeer('alice')
+      .acPeerSubscribe('DocumentChannel', { document_id: '123' })
+      .acPeerPerform('content_changed', {
+        content: 'This is a collaborative document edited by Alice',
+        cursor_position: 48
+      });
+    
     // Verify other user's changes appear
     cy.get('[data-testid="document-editor"]')
       .should('contain.value', 'edited by Alice');
@@ -50,6 +56,9 @@ describe('Real-time Collaboration Features', () => {
     // Verify user indicator appears
     cy.get('[data-testid="active-users"]')
       .should('contain', 'Alice');
+    
+    // Alice's change was not mistaken for one sent by the application
+    cy.acAssertMessageSent('DocumentChannel', { action: 'content_changed' }, { partial: true, peer: 'alice' });
   });
 
   it('is expected to handle conflict resolution', () => {
@@ -116,21 +125,23 @@ describe('Real-time Collaboration Features', () => {
     cy.acSubscribe('DocumentChannel', { document_id: '123' });
     cy.acWaitForSubscription('DocumentChannel');
     
-    // Simulate users joining
-    cy.acReceiveMessage('DocumentChannel', {
-      action: 'user_joined',
-      user_id: 'alice',
-      user_name: 'Alice',
-      user_avatar: '/avatars/alice.jpg'
+    // Announce editors as they appear and disappear, like a presence channel would
+    cy.acHandle('DocumentChannel', 'appear', (data, ctx) => {
+      ctx.broadcast({ action: 'user_joined', user_id: ctx.peer, user_name: data.user_name, user_avatar: data.user_avatar });
     });
-    
-    cy.acReceiveMessage('DocumentChannel', {
-      action: 'user_joined',
-      user_id: 'bob', 
-      user_name: 'Bob',
-      user_avatar: '/avatars/bob.jpg'
+    cy.acHandle('DocumentChannel', 'away', (data, ctx) => {
+      ctx.broadcast({ action: 'user_left', user_id: ctx.peer, user_name: data.user_name });
     });
     
+    // Users join
+    cy.acPeer('alice')
+      .acPeerSubscribe('DocumentChannel', { document_id: '123' })
+      .acPeerPerform('appear', { user_name: 'Alice', user_avatar: '/avatars/alice.jpg' });
+    
+    cy.acPeer('bob')
+      .acPeerSubscribe('DocumentChannel', { document_id: '123' })
+      .acPeerPerform('appear', { user_name: 'Bob', user_avatar: '/avatars/bob.jpg' });
+    
     // Verify users appear in active users list
     cy.get('[data-testid="active-users"]')
       .should('contain', 'Alice')
@@ -138,12 +149,10 @@ describe('Real-time Collaboration Features', () => {
     
     cy.get('[data-testid="user-count"]').should('contain', '3'); // Including current user
     
-    // Simulate user leaving
-    cy.acReceiveMessage('DocumentChannel', {
-      action: 'user_left',
-      user_id: 'alice',
-      user_name: 'Alice'
-    });
+    // Alice leaves; Bob hears about it too
+    cy.acPeer('alice').acPeerPerform('away', { user_name: 'Alice' }).acPeerUnsubscribe();
+    cy.acPeer('bob').invoke('getMessages', 'DocumentChannel')
+      .should(messages => expect(messages.map(message => message.data.action)).to.include('user_left'));
     
     // Verify user removed from active list
     cy.get('[data-testid="active-users"]').should('not.contain', 'Alice');
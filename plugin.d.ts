@@ -0,0 +1,2 @@
+// Types of the Node-side entry
+export * from './dist/plugin';
@@ -0,0 +1,2 @@
+// Node-side entry: require('cypress-action-cable/plugin') in cypress.config.js
+module.exports = require('./dist/plugin');
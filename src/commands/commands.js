@@ -1,5 +1,20 @@
 // Import the WebSocket mock setup and helpers
-import { setupMockActionCable, teardownMockActionCable } from '../mocks/mock-websocket.js';
+import {
+  setupMockActionCable,
+  teardownMockActionCable,
+  attachMockActionCable,
+  getMockActionCable,
+  setNetworkConditions,
+  getNetworkStats,
+  getReplayProgress,
+  setupCableRecording,
+  attachCableRecording,
+  getCableRecorder,
+  resolveCableUrl,
+  DEFAULT_WS_URL
+} from '../mocks/mock-websocket.js';
+import { MockPeer } from '../mocks/mock-peer.js';
+import { broadcastingFor } from '../mocks/stream-registry.js';
 import { 
   sendWebSocketMessage, 
   waitForWebSocketConnection,
@@ -12,6 +27,28 @@ import {
   clearAllSubscriptions,
   waitForElementWithRetry
 } from '../helpers/websocket-helpers.js';
+import {
+  matchesPartial,
+  matchesExact,
+  describeValue,
+  describeClosest
+} from '../helpers/message-matchers.js';
+import {
+  channelArgs,
+  receiveMessageArgs,
+  conversationArgs,
+  assertMessageArgs
+} from '../helpers/command-arguments.js';
+import { buildTrafficLog, TRAFFIC_TASK } from '../helpers/traffic-log.js';
+import { normalizeLogging } from '../mocks/mock-logger.js';
+import { normalizeStrict, violationsError } from '../mocks/strict-mode.js';
+import {
+  sameIdentifier,
+  identifierIncludes,
+  findSubscriptions,
+  describeQuery,
+  noMatchError
+} from '../mocks/channel-identifier.js';
 
 // Register the WebSocket helper functions as Cypress commands
 Cypress.Commands.add('sendWebSocketMessage', sendWebSocketMessage);
@@ -28,53 +65,255 @@ Cypress.Commands.add('waitForElementWithRetry', waitForElementWithRetry);
 /**
  * Initialize ActionCable mock system with WebSocket server
  * Sets up the complete mock infrastructure for testing
+ *
+ * The mock is installed into the application window before any of its
+ * scripts run, on every load within the test (cy.visit, cy.reload,
+ * navigations), so consumers created at boot pick it up.
+ * Call it before cy.visit.
+ *
+ * @param {string|string[]} url - Cable URL(s) to mock, absolute or a path like '/cable'
+ *   resolved against baseUrl. Query strings are ignored for routing (default: ws://localhost:3000/cable)
+ * @param {object} options - Mock options: autoConfirm, welcomeDelay, logging, ping, network,
+ *   authenticate, timing, offline. May be passed as the only argument.
+ *   replay: fixture file (or { fixture, pace }) of a recorded session to play back.
+ *   record: fixture file to record the real cable into instead of mocking it, see acSaveRecording.
+ *   logging defaults to Cypress.env('actionCableLogging'), the option's fields win.
+ *   strict defaults to Cypress.env('actionCableStrict'); the option's checks win, allowlists add up.
+ *   contracts: channel contracts, or the fixture file a Rails-side export was saved to
  */
-Cypress.Commands.add('mockActionCable', () => {
-  return cy.window().then(win => {
+Cypress.Commands.add('mockActionCable', (url, options = {}) => {
+  // cy.mockActionCable(options)
+  if (url && typeof url === 'object' && !Array.isArray(url)) {
+    options = url;
+    url = options.url;
+  }
+  const { record, replay, ...mockOptions } = options;
+  mockOptions.logging = {
+    ...normalizeLogging(Cypress.env('actionCableLogging')),
+    ...normalizeLogging(mockOptions.logging)
+  };
+  const envStrict = normalizeStrict(Cypress.env('actionCableStrict'));
+  const strict = normalizeStrict(mockOptions.strict);
+  mockOptions.strict = Object.keys(envStrict).length > 0 || Object.keys(strict).length > 0 ? {
+    ...envStrict,
+    ...strict,
+    allow: [].concat(envStrict.allow || [], strict.allow || [])
+  } : {};
+  // Violations fail the test from the check queued after its commands (see below),
+  // not from a timer that may fire once the next test runs
+  mockOptions.strict.fail = () => {};
+  
+  return cy.window({ log: false }).then(win => {
     // Clear any previous mock instances
-    if (win.mockActionCable) {
+    if (getMockActionCable() || getCableRecorder()) {
       teardownMockActionCable();
     }
     
-    // Setup mock ActionCable with WebSocket server
-    const { mockServer, actionCableMock } = setupMockActionCable();
-    
-    // Make sure it's accessible globally
-    win.mockActionCable = actionCableMock;
-    
-    // Set up App.cable for compatibility with Rails applications
-    win.App = win.App || {};
-    win.App.cable = win.mockActionCable;
+    const base = Cypress.config('baseUrl') || undefined;
+    const urls = [].concat(url || DEFAULT_WS_URL).map(cableUrl => resolveCableUrl(cableUrl, base));
     
     // Clean up when the test is done
     cy.on('test:after:run', () => {
       teardownMockActionCable();
     });
     
-    cy.log('ActionCable mock with WebSocket server initialized');
-    return cy.wrap(win.mockActionCable);
+    if (record) {
+      return recordCable(win, urls, record, mockOptions.logging);
+    }
+    
+    const install = (options) => {
+      if (replay) {
+        const { fixture, pace } = typeof replay === 'string' ? { fixture: replay } : replay;
+        return cy.fixture(fixture, { log: false }).then(session => {
+          cy.log(`Replaying recorded session ${fixture}`);
+          return installMock(win, urls, { ...options, replay: { session, pace } });
+        });
+      }
+      return installMock(win, urls, options);
+    };
+    
+    if (typeof mockOptions.contracts === 'string') {
+      return cy.fixture(mockOptions.contracts, { log: false }).then(contracts => {
+        cy.log(`Validating against the contracts in ${mockOptions.contracts}`);
+        return install({ ...mockOptions, contracts });
+      });
+    }
+    
+    return install(mockOptions);
+  });
+});
+
+// Set up the mock in the application window and every document loaded later in the test
+function installMock(win, urls, options) {
+  // Setup mock ActionCable with WebSocket server in the current application window
+  const { actionCableMock } = setupMockActionCable(win, { ...options, url: urls });
+  
+  // Re-install into every document loaded during this test, before the app boots.
+  // A new document means the previous page's subscriptions are gone
+  cy.on('window:before:load', nextWin => {
+    actionCableMock.resetSubscriptions();
+    actionCableMock.resetConnectionAttempts();
+    attachMockActionCable(nextWin);
+  });
+  
+  cy.log('ActionCable mock with WebSocket server initialized:', urls.join(', '));
+  return cy.wrap(actionCableMock);
+}
+
+// Let the application talk to the real cable while recording its frames
+function recordCable(win, urls, fixture, logging) {
+  const recorder = setupCableRecording(win, { url: urls, name: fixture, logging });
+  cy.on('window:before:load', nextWin => {
+    attachCableRecording(nextWin);
+  });
+  
+  cy.log(`Recording the real cable for ${fixture}:`, urls.join(', '));
+  return cy.wrap(recorder, { log: false });
+}
+
+// What traffic logs include besides the journal: network stats, and credentials
+// only when the plugin's redact option is false
+const trafficDetails = () => ({
+  network: getNetworkStats(),
+  redact: Cypress.env('actionCableTrafficRedact') !== false
+});
+
+/**
+ * The traffic log of the running test: connections, subscriptions and every journal entry
+ * A query: chained assertions retry. See helpers/traffic-log.js for the format
+ */
+Cypress.Commands.addQuery('acTrafficLog', function (options = {}) {
+  const log = logQuery(this, 'acTrafficLog', '', options.timeout);
+  
+  return () => {
+    const trafficLog = buildTrafficLog(requireMock(), trafficDetails());
+    log.set('consoleProps', () => ({ Yielded: trafficLog }));
+    return trafficLog;
+  };
+});
+
+// What the mock cy.acDisconnect() tore down during the running test left behind:
+// { trafficLog, violations }. Spec hooks run before the one below, so it can't read the mock itself
+let disconnectedMock = null;
+
+// Marks test functions that already end with the violation check
+const CHECKS_VIOLATIONS = Symbol('checksViolations');
+
+// Fail the running test with what strict mode caught so far
+const raiseViolations = () => {
+  const mock = getMockActionCable();
+  const violations = mock ? mock.getViolations() : (disconnectedMock ? disconnectedMock.violations : []);
+  if (violations.length > 0) {
+    throw violationsError(violations);
+  }
+};
+
+// Queue the violation check after the commands of every test, so it fails the test
+// itself: thrown from a hook, the error would skip the rest of the spec. Tests
+// taking a done callback or returning a promise of their own aren't checked
+beforeEach(function () {
+  const test = this.currentTest;
+  if (!test || typeof test.fn !== 'function' || test.fn.length > 0 || test.fn[CHECKS_VIOLATIONS]) {
+    return;
+  }
+  
+  const body = test.fn;
+  test.fn = function (...args) {
+    const result = body.apply(this, args);
+    if (result === undefined || Cypress.isCy(result)) {
+      cy.then(raiseViolations);
+    }
+    return result;
+  };
+  test.fn[CHECKS_VIOLATIONS] = true;
+});
+
+// Hand each test's traffic to the Node plugin, which writes it to disk.
+// Only runs when the plugin is registered in setupNodeEvents (see plugin/index.js)
+afterEach(function () {
+  const mode = Cypress.env('actionCableTraffic');
+  const mock = getMockActionCable();
+  const disconnected = disconnectedMock;
+  disconnectedMock = null;
+  const test = this.currentTest;
+  if ((!mock && !disconnected) || !test || !mode || mode === 'never' || (mode === 'failed' && test.state !== 'failed')) {
+    return;
+  }
+  
+  const details = {
+    title: test.fullTitle(),
+    spec: Cypress.spec.relative,
+    state: test.state,
+    attempt: Cypress.currentRetry || 0
+  };
+  const trafficLog = mock
+    ? buildTrafficLog(mock, { ...trafficDetails(), test: details })
+    : { ...disconnected.trafficLog, test: details };
+  cy.task(TRAFFIC_TASK, { ...details, log: trafficLog }, { log: false });
+});
+
+/**
+ * Save the session recorded since cy.mockActionCable({ record }) as a fixture
+ * Call it at the end of the recording test
+ * @param {string} fixture - File under the fixtures folder (default: the record option)
+ */
+Cypress.Commands.add('acSaveRecording', (fixture) => {
+  const recorder = getCableRecorder();
+  if (!recorder) {
+    throw new Error("Nothing is being recorded. Call cy.mockActionCable({ record: 'session.json' }) first");
+  }
+  
+  const name = fixture || recorder.name;
+  if (typeof name !== 'string') {
+    throw new Error('Pass the fixture file to save the recording to');
+  }
+  const session = recorder.toSession();
+  const folder = Cypress.config('fixturesFolder') || 'cypress/fixtures';
+  
+  Cypress.log({
+    name: 'acSaveRecording',
+    message: `${session.frames.length} frames, ${session.channels.length} channel(s) to ${name}`,
+    consoleProps: () => ({ Session: session })
   });
+  return cy.writeFile(`${folder}/${name}`, session, { log: false }).then(() => session);
+});
+
+/**
+ * Where the replay of a recorded session stands: { done, scripts, playbacks }
+ * A query: cy.acReplayProgress().should('have.property', 'done', true) waits for the whole recording
+ */
+Cypress.Commands.addQuery('acReplayProgress', function (options = {}) {
+  const log = logQuery(this, 'acReplayProgress', '', options.timeout);
+  
+  return () => {
+    requireMock();
+    const progress = getReplayProgress();
+    if (!progress) {
+      throw new Error("No recorded session is being replayed. Pass replay to cy.mockActionCable()");
+    }
+    log.set('consoleProps', () => ({ Yielded: progress }));
+    return progress;
+  };
 });
 
 /**
  * Subscribe to a channel
- * @param {string} channelName - Name of the channel to subscribe to
+ * Also accepts a single object: { channel, params }
+ * @param {string|object} channelName - Name of the channel, or an identifier object
  * @param {object} params - Additional channel parameters
  */
-Cypress.Commands.add('acSubscribe', (channelName, params = {}) => {
+Cypress.Commands.add('acSubscribe', (...args) => {
+  const { channel: channelName, params } = channelArgs(args);
+  
   return cy.window().then(win => {
     if (!win.mockActionCable) {
       throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
     }
     
+    // Confirmation follows the autoConfirm policy, like any other subscription
     const channelIdentifier = { channel: channelName, ...params };
     const subscription = win.mockActionCable.subscribe(channelIdentifier);
     
-    // Simulate successful connection
-    if (subscription && subscription.callbacks && subscription.callbacks.connected) {
-      subscription.callbacks.connected.forEach(callback => callback());
-    }
-    
     cy.log('Subscribed to channel:', channelIdentifier);
     return cy.wrap(subscription);
   });
@@ -82,16 +321,24 @@ Cypress.Commands.add('acSubscribe', (channelName, params = {}) => {
 
 /**
  * Simulate receiving a message on a channel
- * @param {string} channelName - Name of the channel
- * @param {object} params - Channel parameters
+ * Only subscriptions with this identifier receive it, whatever its key order
+ * Also accepts a single object: { channel, params, data }
+ * The legacy (channelName, params, data) order still works, with a deprecation warning;
+ * three arguments no subscription tells apart are read as documented, with a warning
+ * @param {string|object} channelName - Name of the channel, or an identifier object
  * @param {object} data - Message data to receive
+ * @param {object} params - Channel parameters
  */
-Cypress.Commands.add('acReceiveMessage', (channelName, params = {}, data = {}) => {
+Cypress.Commands.add('acReceiveMessage', (...args) => {
   return cy.window().then(win => {
     if (!win.mockActionCable) {
       throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
     }
     
+    const subscribed = win.mockActionCable.getSubscriptions().map(sub => sub.identifier);
+    const { channel: channelName, params, data = {} } = receiveMessageArgs(args, identifier => 
+      subscribed.some(candidate => sameIdentifier(candidate, identifier))
+    );
     const channelIdentifier = { channel: channelName, ...params };
     
     cy.log('Sending ActionCable message:', { channelIdentifier, data });
@@ -113,88 +360,249 @@ Cypress.Commands.add('acReceiveMessage', (channelName, params = {}, data = {}) =
 });
 
 /**
- * Check subscription status for a channel
- * @param {string} channelName - Name of the channel
+ * Get the subscription for a channel, or null
+ * A query: retries with the assertions chained to it, e.g. .should('have.property', 'confirmed', true)
+ * Also accepts a single object: { channel, params, timeout }
+ * Identifiers match whatever their key order; a channel name or partial params
+ * find the channel's subscription too, see findSubscriptions
+ * @param {string|object|function} channelName - Name of the channel, an identifier object,
+ *   or a predicate receiving the identifier object and the subscription
  * @param {object} params - Channel parameters
  */
-Cypress.Commands.add('acSubscription', (channelName, params = {}) => {
-  return cy.window().then(win => {
-    if (!win.mockActionCable) {
-      cy.log('mockActionCable not found, initializing it now');
-      return cy.mockActionCable().then(mock => {
-        return checkSubscription(win, channelName, params);
-      });
-    } else {
-      return checkSubscription(win, channelName, params);
-    }
-  });
-});
-
-// Helper function for subscription checking
-function checkSubscription(win, channelName, params) {
-  const channelIdentifier = { channel: channelName, ...params };
-  const identifier = JSON.stringify(channelIdentifier);
-  
-  const subscriptions = win.mockActionCable.getSubscriptions();
-  const subscription = subscriptions.find(sub => sub.identifier === identifier);
+Cypress.Commands.addQuery('acSubscription', function (...args) {
+  const { channel: channelName, params, timeout } = channelArgs(args);
+  const query = subscriptionQuery(channelName, params);
+  const log = logQuery(this, 'acSubscription', describeQuery(query), timeout);
   
-  cy.log('Checking subscription for:', channelIdentifier, 'Found:', !!subscription);
-  return cy.wrap(subscription || null);
-}
+  return () => {
+    const subscription = requireMock().findSubscriptions(query)[0] || null;
+    log.set('consoleProps', () => ({ Query: describeQuery(query), Yielded: subscription }));
+    return subscription;
+  };
+});
 
 /**
- * Simulate a conversation with multiple messages sent in sequence
- * @param {string} channelName - Name of the channel
+ * Simulate a conversation: a script of server messages and expected client actions
+ *
+ * Each step is { type: 'incoming' | 'outgoing', data, action?, delay?, timeout? }.
+ * Plain objects without a type are incoming data.
+ * - incoming steps wait `delay` ms, then send `data` to the channel
+ * - outgoing steps wait until the client performs `action` with data containing `data`,
+ *   up to `timeout` ms (default: defaultCommandTimeout)
+ *
+ * Yields a report with one entry per step. Fails if an outgoing step never matched,
+ * unless options.failOnMismatch is false
+ *
+ * Also accepts a single object: { channel, params, messages, timeout, failOnMismatch }
+ * The legacy (channelName, params, messages) order still works, with a deprecation warning
+ *
+ * @param {string|object} channelName - Name of the channel, or an identifier object
+ * @param {array} messages - Conversation steps
  * @param {object} params - Channel parameters  
- * @param {array} messages - Array of messages to send in sequence
+ * @param {object} options - { timeout, failOnMismatch }
  */
-Cypress.Commands.add('acSimulateConversation', (channelName, params = {}, messages = []) => {
+Cypress.Commands.add('acSimulateConversation', (...args) => {
+  const { channel: channelName, params, messages, options } = conversationArgs(args);
+  
   return cy.window().then(win => {
     if (!win.mockActionCable) {
       cy.log('mockActionCable not found, initializing it now');
       return cy.mockActionCable().then(() => {
-        return cy.acSimulateConversation(channelName, params, messages);
+        return cy.acSimulateConversation({ channel: channelName, params, messages, ...options });
       });
     }
     
+    const mock = win.mockActionCable;
+    const { failOnMismatch = true } = options;
     const channelIdentifier = { channel: channelName, ...params };
+    const steps = messages.map(toConversationStep);
+    const report = [];
     
-    // Send each message in sequence with a delay between them
-    const sendMessages = (index) => {
-      if (index >= messages.length) return;
+    // Client actions count from the start of the conversation, and each
+    // outgoing step only looks past the message matched by the previous one
+    let cursor = mock.getMessages().length;
+    
+    steps.forEach((step, index) => {
+      cy.log(`Conversation step ${index + 1}/${steps.length}: ${step.type}${step.action ? ` ${step.action}` : ''}`);
       
-      const message = messages[index];
-      cy.log(`Sending conversation message ${index + 1}/${messages.length}:`, message);
+      if (step.type === 'outgoing') {
+        const timeout = step.timeout || options.timeout || Cypress.config('defaultCommandTimeout');
+        
+        waitForClientMessage(mock, () => cursor, message => 
+          message.type === 'outgoing' &&
+          !message.peer &&
+          isOnChannel(message, channelName, params) &&
+          (!step.action || message.action === step.action) &&
+          (step.data === undefined || matchesPartial(message.data, step.data)),
+        timeout).then(found => {
+          if (found) {
+            cursor = found.position + 1;
+          }
+          report.push({ index, ...step, matched: !!found, message: found ? found.message : null });
+        });
+        return;
+      }
       
-      win.mockActionCable.simulateReceive(channelIdentifier, message);
+      if (step.delay) {
+        cy.acTick(step.delay, { log: false });
+      }
       
-      // Add a delay before sending the next message
-      cy.wait(300).then(() => sendMessages(index + 1));
-    };
+      cy.then(() => {
+        const delivered = mock.simulateReceive(channelIdentifier, step.data);
+        report.push({ index, ...step, matched: delivered, message: null });
+      });
+    });
     
-    // Start sending the messages
-    sendMessages(0);
+    return cy.then(() => {
+      const missing = report.filter(entry => entry.type === 'outgoing' && !entry.matched);
+      
+      Cypress.log({
+        name: 'acConversation',
+        message: `${report.length - missing.length}/${report.length} steps matched`,
+        consoleProps: () => ({ Channel: channelIdentifier, Report: report })
+      });
+      
+      if (failOnMismatch && missing.length > 0) {
+        const details = missing.map(entry => 
+          `step ${entry.index + 1} (${entry.action || 'any action'} ${JSON.stringify(entry.data)})`
+        ).join(', ');
+        throw new Error(`Conversation on ${channelName}: client never sent ${details}`);
+      }
+      
+      return report;
+    });
   });
 });
 
+// Normalize a conversation entry: plain data objects are incoming messages
+function toConversationStep(message) {
+  if (message && (message.type === 'incoming' || message.type === 'outgoing')) {
+    return message;
+  }
+  return { type: 'incoming', data: message };
+}
+
+// Whether a journal entry belongs to the channel; params narrow it to matching identifiers
+function isOnChannel(message, channelName, params = {}) {
+  return message.channel === channelName &&
+    identifierIncludes(message.identifier, channelName, params);
+}
+
+// Subscription lookup of a command: a predicate as is, otherwise the identifier
+function subscriptionQuery(channelName, params) {
+  return typeof channelName === 'function' ? channelName : { channel: channelName, ...params };
+}
+
+// The running mock, for queries that can't go through cy.window()
+function requireMock() {
+  const mock = getMockActionCable();
+  if (!mock) {
+    throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
+  }
+  return mock;
+}
+
+// Command log entry for a query; a timeout overrides defaultCommandTimeout
+function logQuery(query, name, message, timeout) {
+  if (timeout !== undefined) {
+    query.set('timeout', timeout);
+  }
+  return Cypress.log({ name, message, timeout });
+}
+
+// Poll the journal until a message after the cursor satisfies the predicate
+// Yields { message, position } or null on timeout
+// Under cy.clock() each poll ticks the application's clock, so timers the
+// application sets before performing fire without real waiting
+function waitForClientMessage(mock, getCursor, predicate, timeout, interval = 50) {
+  let waited = 0;
+  
+  const check = () => {
+    const messages = mock.getMessages();
+    for (let position = getCursor(); position < messages.length; position++) {
+      if (predicate(messages[position])) {
+        return cy.wrap({ message: messages[position], position }, { log: false });
+      }
+    }
+    
+    if (waited >= timeout) {
+      return cy.wrap(null, { log: false });
+    }
+    waited += interval;
+    const pause = mock.clock.isFaked() ? cy.tick(interval, { log: false }) : cy.wait(interval, { log: false });
+    return pause.then(check);
+  };
+  
+  return cy.then(check);
+}
+
 /**
  * Get all messages sent/received during the test session
+ * Pass a channel (and params) to only get that channel's messages
+ * A query: chained assertions retry against new messages
+ * @param {string|object} channelName - Optional channel name or identifier object
+ * @param {object} params - Channel parameters
  */
-Cypress.Commands.add('acGetMessages', () => {
-  return cy.window().then(win => {
-    if (!win.mockActionCable) {
-      return cy.wrap([]);
-    }
-    return cy.wrap(win.mockActionCable.getMessages());
-  });
+Cypress.Commands.addQuery('acGetMessages', function (...args) {
+  const { channel: channelName, params } = channelArgs(args);
+  const log = logQuery(this, 'acGetMessages', channelName || 'all');
+  
+  return () => {
+    const mock = getMockActionCable();
+    const messages = mock ? mock.getMessages() : [];
+    const yielded = channelName ? messages.filter(message => isOnChannel(message, channelName, params)) : messages;
+    log.set('consoleProps', () => ({ Channel: channelName, Params: params, Yielded: yielded }));
+    return yielded;
+  };
 });
 
+/**
+ * Query the message journal
+ * Retries with the assertions chained to it and respects defaultCommandTimeout:
+ *   cy.acMessages({ channel: 'ChatChannel', type: 'incoming' }).should('have.length', 3)
+ * @param {string|object} filter - Channel name, or { channel, params, type, event, action, peer, data }
+ *   data is a partial match and may contain matchers. peer: a peer's name, or null for the application's entries
+ * @param {object} options - { timeout }
+ */
+Cypress.Commands.addQuery('acMessages', function (filter = {}, options = {}) {
+  const criteria = typeof filter === 'string' ? { channel: filter } : filter;
+  const log = logQuery(this, 'acMessages', describeValue(criteria), options.timeout);
+  
+  return () => {
+    const mock = getMockActionCable();
+    const messages = (mock ? mock.getMessages() : []).filter(message => matchesFilter(message, criteria));
+    log.set('consoleProps', () => ({ Filter: criteria, Yielded: messages }));
+    return messages;
+  };
+});
+
+// Whether a journal entry satisfies an acMessages filter
+function matchesFilter(message, { channel, params, type, event, action, peer, data }) {
+  return (channel === undefined || isOnChannel(message, channel, params)) &&
+    (type === undefined || message.type === type) &&
+    (peer === undefined || (message.peer || null) === peer) &&
+    (event === undefined || message.event === event) &&
+    (action === undefined || matchesPartial(message.action, action)) &&
+    (data === undefined || matchesPartial(message.data, data));
+}
+
 /**
  * Clear all tracked messages
+ * Pass a channel (and params) to only clear that channel's messages
+ * @param {string|object} channelName - Optional channel name or identifier object
+ * @param {object} params - Channel parameters
  */
-Cypress.Commands.add('acClearMessages', () => {
+Cypress.Commands.add('acClearMessages', (...args) => {
+  const { channel: channelName, params } = channelArgs(args);
+  
   return cy.window().then(win => {
-    if (win.mockActionCable) {
+    if (!win.mockActionCable) {
+      return;
+    }
+    
+    if (channelName) {
+      win.mockActionCable.clearMessages(message => isOnChannel(message, channelName, params));
+    } else {
       win.mockActionCable.clearMessages();
     }
   });
@@ -202,27 +610,119 @@ Cypress.Commands.add('acClearMessages', () => {
 
 /**
  * Assert that a specific message was sent
+ * Accepts (expectedData, options), (channelName, expectedData, options)
+ * or a single object: { channel, params, data, ...options }
+ * Retries until the message shows up or the timeout passes: wire clients'
+ * actions reach the journal asynchronously, later still on a shaped network
+ *
+ * Expected data may contain matchers: any(Number), regular expressions and predicates
+ *
+ * @param {string} channelName - Optional channel the message was performed on
+ * @param {object} expectedData - Expected data, including the action
+ * @param {object} options - { partial, params, action, peer, times, after, before }
+ *   - partial: only compare the expected keys (deep)
+ *   - action: only consider messages performing this action
+ *   - peer: look at what this peer sent (see acPeer) instead of the application
+ *   - times: exact number of matching messages
+ *   - after / before: expected data of a message the match must follow / precede
+ *   - timeout: how long to retry (default: defaultCommandTimeout)
  */
-Cypress.Commands.add('acAssertMessageSent', (expectedData, options = {}) => {
-  return cy.acGetMessages().then(messages => {
-    const outgoingMessages = messages.filter(m => m.type === 'outgoing');
-    
-    if (options.partial) {
-      const found = outgoingMessages.some(msg => 
-        Object.keys(expectedData).every(key => 
-          JSON.stringify(msg.data[key]) === JSON.stringify(expectedData[key])
-        )
-      );
-      expect(found, `Message containing ${JSON.stringify(expectedData)} was sent`).to.be.true;
-    } else {
-      const found = outgoingMessages.some(msg => 
-        JSON.stringify(msg.data) === JSON.stringify(expectedData)
-      );
-      expect(found, `Exact message ${JSON.stringify(expectedData)} was sent`).to.be.true;
-    }
+Cypress.Commands.add('acAssertMessageSent', (...args) => {
+  const { channel: channelName, params, data: expectedData, options } = assertMessageArgs(args);
+  
+  return cy.acMessages({ type: 'outgoing' }, { timeout: options.timeout }).should(messages => {
+    const candidates = selectSentMessages(messages, channelName, params, options);
+    const matches = findSentMatches(candidates, expectedData, options);
+    const { times } = options;
+    const description = describeSentAssertion(channelName, expectedData, options);
+    
+    const passed = matches !== null && (times === undefined ? matches.length > 0 : matches.length === times);
+    const reason = matches === null ? 'the ordering reference was never sent' :
+      `${matches.length} matching message${matches.length === 1 ? ' was' : 's were'} sent`;
+    
+    expect(passed, passed ? description : 
+      `${description}, but ${reason}. Closest messages:\n${describeClosest(candidates, expectedData, options)}\n`).to.be.true;
+  }).then(messages => {
+    return findSentMatches(selectSentMessages(messages, channelName, params, options), expectedData, options) || [];
   });
 });
 
+/**
+ * Assert that no matching message was sent
+ * Takes the same arguments and options as acAssertMessageSent, except times.
+ * Like any negative Cypress assertion it passes as soon as no match is in the journal
+ */
+Cypress.Commands.add('acAssertMessageNotSent', (...args) => {
+  const { channel: channelName, params, data: expectedData, options } = assertMessageArgs(args);
+  
+  return cy.acMessages({ type: 'outgoing' }, { timeout: options.timeout }).should(messages => {
+    const candidates = selectSentMessages(messages, channelName, params, options);
+    const matches = findSentMatches(candidates, expectedData, options) || [];
+    const description = describeSentAssertion(channelName, expectedData, options).replace(' was sent', ' was not sent');
+    
+    expect(matches.length === 0, matches.length === 0 ? description :
+      `${description}, but found:\n${matches.map(message => `  - ${message.channel} ${describeValue(message.data)}`).join('\n')}\n`).to.be.true;
+  });
+});
+
+// Outgoing messages in the assertion's scope: the application's, or options.peer's
+function selectSentMessages(messages, channelName, params, options) {
+  return messages.filter(message => 
+    message.type === 'outgoing' &&
+    (message.peer || null) === (options.peer || null) &&
+    (!channelName || isOnChannel(message, channelName, params)) &&
+    (options.action === undefined || matchesPartial(message.action, options.action))
+  );
+}
+
+// Messages matching the expected data within the after/before window
+// null when an ordering reference was never sent
+function findSentMatches(candidates, expectedData, options) {
+  const matches = options.partial ? matchesPartial : matchesExact;
+  let start = 0;
+  let end = candidates.length;
+  
+  if (options.after !== undefined) {
+    const index = candidates.findIndex(message => matches(message.data, options.after));
+    if (index === -1) {
+      return null;
+    }
+    start = index + 1;
+  }
+  
+  if (options.before !== undefined) {
+    const reversed = candidates.slice().reverse().findIndex(message => matches(message.data, options.before));
+    if (reversed === -1) {
+      return null;
+    }
+    end = candidates.length - 1 - reversed;
+  }
+  
+  return candidates.slice(start, end).filter(message => matches(message.data, expectedData));
+}
+
+// Human readable assertion, e.g. "Message { action: 'speak' } on ChatChannel was sent 2 times"
+function describeSentAssertion(channelName, expectedData, options) {
+  const parts = [`${options.partial ? 'Message containing' : 'Exact message'} ${describeValue(expectedData)}`];
+  if (channelName) {
+    parts.push(`on ${channelName}`);
+  }
+  if (options.action !== undefined) {
+    parts.push(`performing ${describeValue(options.action)}`);
+  }
+  if (options.peer) {
+    parts.push(`by peer ${options.peer}`);
+  }
+  if (options.after !== undefined) {
+    parts.push(`after ${describeValue(options.after)}`);
+  }
+  if (options.before !== undefined) {
+    parts.push(`before ${describeValue(options.before)}`);
+  }
+  parts.push(options.times === undefined ? 'was sent' : `was sent ${options.times} time${options.times === 1 ? '' : 's'}`);
+  return parts.join(' ');
+}
+
 /**
  * Disconnect ActionCable and clean up all mocks
  */
@@ -230,6 +730,12 @@ Cypress.Commands.add('acDisconnect', () => {
   return cy.window().then(win => {
     if (win.mockActionCable) {
       win.mockActionCable.disconnect();
+      // Keep what the hook after the test reports
+      const mode = Cypress.env('actionCableTraffic');
+      disconnectedMock = {
+        trafficLog: mode && mode !== 'never' ? buildTrafficLog(win.mockActionCable, trafficDetails()) : null,
+        violations: win.mockActionCable.getViolations()
+      };
       teardownMockActionCable();
       delete win.mockActionCable;
       delete win.App;
@@ -237,8 +743,90 @@ Cypress.Commands.add('acDisconnect', () => {
   });
 });
 
+/**
+ * End the connection from the server side, like a Rails server closing a connection
+ * Real clients receive a disconnect message and reconnect only if reconnect is true
+ * @param {object} options - { reason, reconnect }
+ *   reason: 'unauthorized', 'invalid_request', 'server_restart' (default) or 'remote'
+ *   reconnect: whether clients may reconnect (default: true)
+ */
+Cypress.Commands.add('acServerDisconnect', (options = {}) => {
+  return cy.window().then(win => {
+    if (!win.mockActionCable) {
+      throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
+    }
+    
+    const { reason = 'server_restart', reconnect = true } = options;
+    win.mockActionCable.serverDisconnect({ reason, reconnect });
+    cy.log(`Server disconnected clients: ${reason}${reconnect ? '' : ', no reconnect'}`);
+  });
+});
+
+/**
+ * Shape the traffic between the application and the mock server
+ * @param {string|object} profile - 'online', '3g', 'slow-3g', 'flaky-wifi', 'satellite', or custom
+ *   conditions { latency, jitter, drop, reorder, bandwidth, up: {...}, down: {...} }
+ * @param {object} options - { seed } to repeat the same drops, jitter and reordering
+ */
+Cypress.Commands.add('acNetwork', (profile = 'online', options = {}) => {
+  return cy.window({ log: false }).then(win => {
+    if (!win.mockActionCable) {
+      throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
+    }
+    
+    const shaper = setNetworkConditions(profile, options);
+    Cypress.log({
+      name: 'acNetwork',
+      message: typeof profile === 'string' ? profile : 'custom',
+      consoleProps: () => ({ Conditions: shaper.conditions, Seed: shaper.seed })
+    });
+  });
+});
+
+/**
+ * Frames sent, delivered, dropped and reordered per direction since the last acNetwork
+ * A query: chained assertions retry
+ */
+Cypress.Commands.addQuery('acNetworkStats', function (options = {}) {
+  const log = logQuery(this, 'acNetworkStats', '', options.timeout);
+  
+  return () => {
+    requireMock();
+    const stats = getNetworkStats();
+    log.set('consoleProps', () => ({ Yielded: stats }));
+    return stats;
+  };
+});
+
+/**
+ * Let time pass on the mock's clock: welcome delays, pings, network latency
+ * and interruptions falling due run in order
+ * - timing: 'virtual': advances virtual time instantly
+ * - under cy.clock(): cy.tick(), which moves the application's timers too
+ * - otherwise: waits in real time
+ * @param {number} ms - Milliseconds
+ * @param {object} options - { log }
+ */
+Cypress.Commands.add('acTick', (ms, options = {}) => {
+  const mock = requireMock();
+  const time = mock.clock.timing === 'virtual' ? 'virtual' : (mock.clock.isFaked() ? 'cy.clock' : 'real');
+  
+  if (options.log !== false) {
+    Cypress.log({ name: 'acTick', message: `${ms}ms of ${time} time` });
+  }
+  
+  if (time === 'virtual') {
+    return cy.wrap(mock.advanceTime(ms), { log: false }).then(() => mock);
+  }
+  if (time === 'cy.clock') {
+    return cy.tick(ms, { log: false }).then(() => mock);
+  }
+  return cy.wait(ms, { log: false }).then(() => mock);
+});
+
 /**
  * Simulate network interruption for testing reconnection
+ * The interruption lasts `duration` on the mock's clock, see acTick
  */
 Cypress.Commands.add('acSimulateNetworkInterruption', (duration = 3000) => {
   return cy.window().then(win => {
@@ -248,62 +836,455 @@ Cypress.Commands.add('acSimulateNetworkInterruption', (duration = 3000) => {
   });
 });
 
+/**
+ * Take the network down until cy.acOnline(): wire clients lose their socket and
+ * can't reconnect, traffic follows the offline policies of cy.mockActionCable()
+ */
+Cypress.Commands.add('acOffline', () => {
+  return cy.window({ log: false }).then(win => {
+    if (!win.mockActionCable) {
+      throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
+    }
+    
+    win.mockActionCable.goOffline();
+    Cypress.log({ name: 'acOffline', message: 'network down' });
+  });
+});
+
+/**
+ * Bring the network back: buffered client actions go out, buffered broadcasts
+ * are replayed or discarded
+ */
+Cypress.Commands.add('acOnline', () => {
+  return cy.window({ log: false }).then(win => {
+    if (!win.mockActionCable) {
+      throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
+    }
+    
+    win.mockActionCable.goOnline();
+    Cypress.log({ name: 'acOnline', message: 'network up' });
+  });
+});
+
+/**
+ * Messages lost to the network: sent while offline, or buffered and discarded
+ * A query: chained assertions retry
+ *   cy.acLostMessages({ direction: 'up', action: 'speak' }).should('have.length', 1)
+ * @param {string|object} filter - Channel name, or { channel, params, direction, reason, action, data }
+ * @param {object} options - { timeout }
+ */
+Cypress.Commands.addQuery('acLostMessages', function (filter = {}, options = {}) {
+  const { direction, reason, ...criteria } = typeof filter === 'string' ? { channel: filter } : filter;
+  const log = logQuery(this, 'acLostMessages', describeValue(filter), options.timeout);
+  
+  return () => {
+    const lost = requireMock().getLostMessages().filter(message =>
+      (direction === undefined || message.direction === direction) &&
+      (reason === undefined || message.reason === reason) &&
+      matchesFilter(message, criteria)
+    );
+    log.set('consoleProps', () => ({ Filter: filter, Yielded: lost }));
+    return lost;
+  };
+});
+
 /**
  * Wait for ActionCable connection to be established
+ * A query: retries until connected or the timeout passes
  */
-Cypress.Commands.add('acWaitForConnection', (timeout = 5000) => {
-  return cy.window().then(win => {
+Cypress.Commands.addQuery('acWaitForConnection', function (timeout = 5000) {
+  const log = logQuery(this, 'acWaitForConnection', '', timeout);
+  
+  return () => {
+    const mock = requireMock();
+    if (!mock.isConnected()) {
+      throw new Error(`Connection not established within ${timeout}ms`);
+    }
+    log.set('consoleProps', () => ({ Connected: true }));
+    return mock;
+  };
+});
+
+/**
+ * Change how new WebSocket connections are authenticated for the rest of the test
+ * @param {function} policy - ({ url, params, protocols, cookies }) => 'welcome' | 'reject' | 'close';
+ *   true and false mean welcome and reject. null welcomes everyone again
+ */
+Cypress.Commands.add('acAuthenticate', (policy) => {
+  return cy.window({ log: false }).then(win => {
     if (!win.mockActionCable) {
-      throw new Error('mockActionCable not initialized');
+      throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
     }
     
-    return new Cypress.Promise((resolve, reject) => {
-      const startTime = Date.now();
-      
-      const checkConnection = () => {
-        if (win.mockActionCable.isConnected()) {
-          resolve();
-        } else if (Date.now() - startTime > timeout) {
-          reject(new Error(`Connection timeout after ${timeout}ms`));
-        } else {
-          setTimeout(checkConnection, 100);
-        }
-      };
-      
-      checkConnection();
-    });
+    win.mockActionCable.options.authenticate = policy;
+    cy.log('Connection authentication updated');
+  });
+});
+
+/**
+ * Credentials presented by every WebSocket client, oldest first
+ * A query: chained assertions retry until the client connects
+ */
+Cypress.Commands.addQuery('acConnectionRequests', function (options = {}) {
+  const log = logQuery(this, 'acConnectionRequests', '', options.timeout);
+  
+  return () => {
+    const requests = requireMock().getConnectionRequests();
+    log.set('consoleProps', () => ({ Yielded: requests }));
+    return requests;
+  };
+});
+
+/**
+ * Assert the credentials the client presented on its latest connection
+ * Expected is a partial match on { url, params, protocols, cookies } and may contain matchers
+ * Retries until a matching connection attempt shows up or the timeout passes
+ * @param {object} expected - e.g. { params: { token: 'abc' }, cookies: { session: any(String) } }
+ * @param {object} options - { timeout }
+ */
+Cypress.Commands.add('acAssertCredentials', (expected, options = {}) => {
+  return cy.acConnectionRequests(options).should(requests => {
+    const latest = requests[requests.length - 1];
+    expect(latest, 'Client opened a connection').to.exist;
+    
+    const { url, params, protocols, cookies } = latest;
+    const presented = { url, params, protocols, cookies };
+    expect(matchesPartial(presented, expected), 
+      `Client presented ${describeValue(expected)}\n  got ${describeValue(presented)}\n`).to.be.true;
   });
 });
 
+/**
+ * Stop the server's keepalive pings
+ * Rails clients notice the stale connection after about 6 seconds and reconnect;
+ * use cy.clock() and cy.tick() to get there without waiting
+ */
+Cypress.Commands.add('acPausePings', () => {
+  return cy.window({ log: false }).then(win => {
+    if (!win.mockActionCable) {
+      throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
+    }
+    
+    win.mockActionCable.pausePings();
+    cy.log('Pings paused');
+  });
+});
+
+/**
+ * Send keepalive pings again after acPausePings
+ */
+Cypress.Commands.add('acResumePings', () => {
+  return cy.window({ log: false }).then(win => {
+    if (!win.mockActionCable) {
+      throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
+    }
+    
+    win.mockActionCable.resumePings();
+    cy.log('Pings resumed');
+  });
+});
+
+/**
+ * Number of times the client reconnected since the page loaded
+ * A query: cy.acReconnectAttempts().should('eq', 1) retries until the client reconnected
+ */
+Cypress.Commands.addQuery('acReconnectAttempts', function (options = {}) {
+  const log = logQuery(this, 'acReconnectAttempts', '', options.timeout);
+  
+  return () => {
+    const attempts = requireMock().getReconnectAttempts();
+    log.set('consoleProps', () => ({ Yielded: attempts }));
+    return attempts;
+  };
+});
+
 /**
  * Wait for subscription to be confirmed
+ * A query: retries until the subscription is confirmed or the timeout passes
+ * Also accepts a single object: { channel, params, timeout }
+ * Matches like acSubscription: a channel name, partial params or a predicate do
  */
-Cypress.Commands.add('acWaitForSubscription', (channelName, params = {}, timeout = 5000) => {
+Cypress.Commands.addQuery('acWaitForSubscription', function (...args) {
+  const { channel: channelName, params, timeout = 5000 } = channelArgs(args, ['timeout']);
+  const query = subscriptionQuery(channelName, params);
+  const log = logQuery(this, 'acWaitForSubscription', describeQuery(query), timeout);
+  
+  return () => {
+    const mock = requireMock();
+    const subscriptions = mock.findSubscriptions(query);
+    const subscription = subscriptions.find(sub => sub.confirmed);
+    
+    if (subscription) {
+      log.set('consoleProps', () => ({ Query: describeQuery(query), Yielded: subscription }));
+      return subscription;
+    }
+    
+    if (subscriptions.length === 0) {
+      const rejections = mock.getMessages().filter(message => message.event === 'reject');
+      if (findSubscriptions(rejections, query).length > 0) {
+        throw new Error(`Subscription was rejected for ${describeQuery(query)}`);
+      }
+      throw noMatchError(`No subscription within ${timeout}ms`, query, mock.getSubscriptions());
+    }
+    throw new Error(`Subscription not confirmed within ${timeout}ms for ${describeQuery(query)}`);
+  };
+});
+
+/**
+ * Confirm a pending subscription
+ * Use with autoConfirm: false (or a policy returning 'pending')
+ * Also accepts a single object: { channel, params }
+ * @param {string|object} channelName - Name of the channel, or an identifier object
+ * @param {object} params - Channel parameters
+ */
+Cypress.Commands.add('acConfirmSubscription', (...args) => {
+  const { channel: channelName, params } = channelArgs(args);
+  
   return cy.window().then(win => {
     if (!win.mockActionCable) {
-      throw new Error('mockActionCable not initialized');
+      throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
     }
     
     const channelIdentifier = { channel: channelName, ...params };
-    const identifier = JSON.stringify(channelIdentifier);
+    if (!win.mockActionCable.confirmSubscription(channelIdentifier)) {
+      throw noMatchError('No pending subscription to confirm', channelIdentifier, win.mockActionCable.getSubscriptions());
+    }
     
-    return new Cypress.Promise((resolve, reject) => {
-      const startTime = Date.now();
-      
-      const checkSubscription = () => {
-        const subscriptions = win.mockActionCable.getSubscriptions();
-        const subscription = subscriptions.find(sub => sub.identifier === identifier);
-        
-        if (subscription && subscription.confirmed) {
-          resolve(subscription);
-        } else if (Date.now() - startTime > timeout) {
-          reject(new Error(`Subscription timeout after ${timeout}ms for ${identifier}`));
-        } else {
-          setTimeout(checkSubscription, 100);
-        }
-      };
-      
-      checkSubscription();
+    cy.log('Confirmed subscription:', channelIdentifier);
+  });
+});
+
+/**
+ * Reject a pending subscription, as a channel calling reject in #subscribed would
+ * Also accepts a single object: { channel, params }
+ * @param {string|object} channelName - Name of the channel, or an identifier object
+ * @param {object} params - Channel parameters
+ */
+Cypress.Commands.add('acRejectSubscription', (...args) => {
+  const { channel: channelName, params } = channelArgs(args);
+  
+  return cy.window().then(win => {
+    if (!win.mockActionCable) {
+      throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
+    }
+    
+    const channelIdentifier = { channel: channelName, ...params };
+    if (!win.mockActionCable.rejectSubscription(channelIdentifier)) {
+      throw noMatchError('No pending subscription to reject', channelIdentifier, win.mockActionCable.getSubscriptions());
+    }
+    
+    cy.log('Rejected subscription:', channelIdentifier);
+  });
+});
+
+/**
+ * Change how new subscriptions are answered for the rest of the test
+ * @param {boolean|function} policy - true confirms, false leaves pending, or a function
+ *   (identifier, subscription) => 'confirm' | 'reject' | 'pending'
+ */
+Cypress.Commands.add('acAutoConfirm', (policy) => {
+  return cy.window().then(win => {
+    if (!win.mockActionCable) {
+      throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
+    }
+    
+    win.mockActionCable.options.autoConfirm = policy;
+    cy.log('Subscription policy updated');
+  });
+});
+
+/**
+ * Register a fake server-side channel action
+ * The handler runs whenever a client performs the action and can reply
+ * Also accepts a single object: { channel, action, handler }
+ * @param {string} channelName - Channel class name
+ * @param {string} action - Action name, e.g. 'speak'
+ * @param {function} handler - (data, ctx) => void; ctx has transmit, broadcast and broadcastTo
+ */
+Cypress.Commands.add('acHandle', (...args) => {
+  const [first] = args;
+  const { channel: channelName, action, handler } = typeof first === 'object' ? first : 
+    { channel: args[0], action: args[1], handler: args[2] };
+  
+  return cy.window().then(win => {
+    if (!win.mockActionCable) {
+      throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
+    }
+    
+    win.mockActionCable.handle(channelName, action, handler);
+    cy.log(`Handling ${channelName}#${action}`);
+  });
+});
+
+/**
+ * Declare how a channel behaves on the server: the streams its subscriptions join and its actions
+ *   cy.acDefineChannel('ChatChannel', { streams: params => `chat_${params.room_id}` })
+ * @param {string} channelName - Channel class name
+ * @param {object} definition - { streams, actions }. streams receives the identifier params and
+ *   { channel, streamFor } and returns the stream name(s); actions are handlers by action name
+ */
+Cypress.Commands.add('acDefineChannel', (channelName, definition = {}) => {
+  return cy.window({ log: false }).then(win => {
+    if (!win.mockActionCable) {
+      throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
+    }
+    
+    win.mockActionCable.defineChannel(channelName, definition);
+    Cypress.log({
+      name: 'acDefineChannel',
+      message: channelName,
+      consoleProps: () => ({ Channel: channelName, Definition: definition })
+    });
+  });
+});
+
+/**
+ * Declare a channel's contract: subscriptions, client actions and server messages
+ * breaking it fail the test with strict: { contracts: true }, or are logged
+ *   cy.acDefineContract('ChatChannel', { actions: { speak: { type: 'object', required: ['message'] } } })
+ * @param {string} channelName - Channel class name
+ * @param {object} contract - { params, actions, broadcasts }: JSON Schemas of the identifier params,
+ *   of each allowed action's payload and of messages to subscribers
+ */
+Cypress.Commands.add('acDefineContract', (channelName, contract) => {
+  return cy.window({ log: false }).then(win => {
+    if (!win.mockActionCable) {
+      throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
+    }
+    
+    win.mockActionCable.defineContract(channelName, contract);
+    Cypress.log({
+      name: 'acDefineContract',
+      message: channelName,
+      consoleProps: () => ({ Channel: channelName, Contract: contract })
+    });
+  });
+});
+
+/**
+ * Declare the contracts of a Rails-side export
+ *   cy.acLoadContracts('cable-contracts.json')
+ * @param {string|object} contracts - Fixture file of the export, or the export itself
+ */
+Cypress.Commands.add('acLoadContracts', (contracts) => {
+  const load = exported => cy.window({ log: false }).then(win => {
+    if (!win.mockActionCable) {
+      throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
+    }
+    
+    win.mockActionCable.loadContracts(exported);
+    Cypress.log({
+      name: 'acLoadContracts',
+      message: typeof contracts === 'string' ? contracts : Object.keys(exported.channels || exported).join(', '),
+      consoleProps: () => ({ Contracts: exported })
     });
   });
+  
+  return typeof contracts === 'string' ? cy.fixture(contracts, { log: false }).then(load) : load(contracts);
+});
+
+/**
+ * Broadcast to a named stream: every subscription streaming from it receives the
+ * message, on every consumer. Yields how many consumers handled it
+ *   cy.acBroadcast('chat_42', { message: 'Hi' })
+ *   cy.acBroadcast({ channel: 'NotificationsChannel', model: 7 }, data) // like broadcast_to
+ * @param {string|object} stream - Stream name, or { channel, model } for the stream stream_for(model) joins
+ * @param {object} data - Message data
+ */
+Cypress.Commands.add('acBroadcast', (stream, data = {}) => {
+  return cy.window({ log: false }).then(win => {
+    if (!win.mockActionCable) {
+      throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
+    }
+    
+    const mock = win.mockActionCable;
+    const handled = typeof stream === 'object'
+      ? mock.broadcastTo(stream.channel, stream.model, data)
+      : mock.broadcast(stream, data);
+    const name = typeof stream === 'object' ? broadcastingFor(stream.channel, stream.model) : stream;
+    
+    Cypress.log({
+      name: 'acBroadcast',
+      message: `${name} ${describeValue(data)}, ${handled} consumer(s)`,
+      consoleProps: () => ({ Stream: name, Data: data, Handled: handled })
+    });
+    return handled;
+  });
+});
+
+/**
+ * A virtual peer client: another user on the mocked cable, created on first use
+ * Chain acPeerSubscribe, acPeerPerform and acPeerUnsubscribe off it. Its actions run through the
+ * channel handlers and its subscriptions receive broadcasts like the application's:
+ *   cy.acPeer('alice').acPeerSubscribe('DocumentChannel', { document_id: 1 }).acPeerPerform('content_changed', { content: 'Hi' })
+ * @param {string} name - Name of the peer, e.g. 'alice'
+ */
+Cypress.Commands.add('acPeer', (name) => {
+  return cy.window({ log: false }).then(win => {
+    if (!win.mockActionCable) {
+      throw new Error('mockActionCable is not initialized. Make sure to call cy.mockActionCable() first');
+    }
+    
+    const peer = win.mockActionCable.peer(name);
+    Cypress.log({ name: 'acPeer', message: name, consoleProps: () => ({ Peer: peer }) });
+    return cy.wrap(peer, { log: false });
+  });
+});
+
+// The peer a child command is chained off. The peer commands are prefixed:
+// plain subscribe, perform or unsubscribe would clash with other plugins' child commands
+function requirePeer(subject, command) {
+  if (!(subject instanceof MockPeer)) {
+    throw new Error(`cy.${command}() must be chained off cy.acPeer(), e.g. cy.acPeer('alice').${command}(...)`);
+  }
+  return subject;
+}
+
+/**
+ * Subscribe the peer to a channel; later acPeerPerform and acPeerUnsubscribe address it
+ * Confirmation follows the autoConfirm policy. Yields the peer
+ * @param {string|object} channelName - Channel name or identifier object
+ * @param {object} params - Channel parameters
+ */
+Cypress.Commands.add('acPeerSubscribe', { prevSubject: true }, (subject, ...args) => {
+  const peer = requirePeer(subject, 'acPeerSubscribe');
+  const { channel: channelName, params } = channelArgs(args);
+  
+  peer.subscribe({ channel: channelName, ...params });
+  const subscription = peer.getSubscription();
+  Cypress.log({
+    name: 'acPeerSubscribe',
+    message: `${peer.name} to ${channelName}${subscription ? '' : ' (rejected)'}`,
+    consoleProps: () => ({ Peer: peer.name, Channel: channelName, Params: params, Subscription: subscription })
+  });
+  return peer;
+});
+
+/**
+ * Perform an action as the peer, on the channel it subscribed to last. Yields the peer
+ * @param {string} action - Action name, e.g. 'content_changed'
+ * @param {object} data - Action data
+ */
+Cypress.Commands.add('acPeerPerform', { prevSubject: true }, (subject, action, data = {}) => {
+  const peer = requirePeer(subject, 'acPeerPerform');
+  
+  peer.perform(action, data);
+  Cypress.log({
+    name: 'acPeerPerform',
+    message: `${peer.name}: ${action} ${describeValue(data)}`,
+    consoleProps: () => ({ Peer: peer.name, Identifier: peer.current, Action: action, Data: data })
+  });
+  return peer;
+});
+
+/**
+ * Unsubscribe the peer from the channel it subscribed to last. Yields the peer
+ */
+Cypress.Commands.add('acPeerUnsubscribe', { prevSubject: true }, (subject) => {
+  const peer = requirePeer(subject, 'acPeerUnsubscribe');
+  const identifier = peer.current;
+  
+  peer.unsubscribe();
+  Cypress.log({ name: 'acPeerUnsubscribe', message: `${peer.name} from ${identifier}` });
+  return peer;
 });
@@ -0,0 +1,192 @@
+// Argument Normalization for Channel Commands
+//
+// RESPONSIBILITIES:
+// 1. Accept the documented positional form of every channel command
+// 2. Accept a single options object: { channel, params, data, ... }
+// 3. Recognize the legacy params-before-data order and warn about it, and
+//    about calls whose order only the subscriptions could tell
+//
+// Channel commands share one shape after normalization:
+// { channel, params, ...command-specific fields }
+//
+
+// Keys that mark a single-argument options object, as opposed to an
+// identifier object such as { channel: 'UserChannel', user_id: 123 }
+const OPTION_KEYS = ['params', 'data', 'messages', 'timeout', 'action', 'handler', 'options'];
+
+// Warnings already printed to the console during this run
+const warned = new Set();
+
+// Report a call style to change: in the command log on every call, so each
+// test shows it, and in the console once per run
+const warnCall = (name, label, command, message) => {
+  const text = `cy.${command}(): ${message}`;
+  if (typeof Cypress !== 'undefined' && Cypress.log) {
+    Cypress.log({ name, message: text });
+  }
+  if (warned.has(text)) {
+    return;
+  }
+  warned.add(text);
+  console.warn(`[cypress-action-cable] ${label}: ${text}`);
+};
+
+/**
+ * Report a deprecated call style, on every call in the command log and once per run in the console
+ *
+ * @param {string} command - Command name
+ * @param {string} message - What to change
+ */
+export const warnDeprecated = (command, message) => warnCall('deprecated', 'Deprecated', command, message);
+
+/**
+ * Report a call whose arguments could mean two things, like warnDeprecated()
+ *
+ * @param {string} command - Command name
+ * @param {string} message - How it was read and how to make it unambiguous
+ */
+export const warnAmbiguous = (command, message) => warnCall('ambiguous', 'Ambiguous', command, message);
+
+/**
+ * Whether a value is the single options object form of a channel command
+ *
+ * @param {*} value - First command argument
+ * @returns {boolean}
+ */
+export const isCommandOptions = (value) => {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    typeof value.channel === 'string' &&
+    OPTION_KEYS.some(key => key in value);
+};
+
+/**
+ * Split a channel argument into channel name and params
+ * Accepts 'ChatChannel' or an identifier object { channel: 'ChatChannel', room: 'general' }
+ *
+ * @param {string|object} channel - Channel name or identifier object
+ * @param {object} params - Extra channel parameters
+ * @returns {object} - { channel, params }
+ */
+export const resolveChannel = (channel, params = {}) => {
+  if (channel && typeof channel === 'object') {
+    const { channel: channelName, ...identifierParams } = channel;
+    return { channel: channelName, params: { ...identifierParams, ...params } };
+  }
+  return { channel, params: params || {} };
+};
+
+/**
+ * Arguments of commands addressing a channel only:
+ * (channel, params?, ...rest) or ({ channel, params, ...rest })
+ *
+ * @param {array} args - Command arguments
+ * @param {string[]} restNames - Names of the positional arguments after params
+ * @returns {object} - { channel, params, ...rest }
+ */
+export const channelArgs = (args, restNames = []) => {
+  const [first, ...others] = args;
+  if (isCommandOptions(first)) {
+    return { ...first, ...resolveChannel(first.channel, first.params) };
+  }
+
+  const [params, ...rest] = others;
+  const result = resolveChannel(first, params);
+  restNames.forEach((name, index) => {
+    if (rest[index] !== undefined) {
+      result[name] = rest[index];
+    }
+  });
+  return result;
+};
+
+/**
+ * Arguments of acReceiveMessage: (channel, data, params?) or ({ channel, params, data })
+ *
+ * The legacy order (channel, params, data) is recognized when only the
+ * second argument addresses an existing subscription. When the subscriptions
+ * can't tell the orders apart, e.g. before the app subscribed, the documented
+ * order applies with a warning: only the object form is unambiguous
+ *
+ * @param {array} args - Command arguments
+ * @param {function} isSubscribed - Receives { channel, ...params }, tells whether a subscription exists
+ * @returns {object} - { channel, params, data }
+ */
+export const receiveMessageArgs = (args, isSubscribed) => {
+  const [first, second, third] = args;
+  if (isCommandOptions(first)) {
+    return { ...resolveChannel(first.channel, first.params), data: first.data };
+  }
+
+  if (third === undefined || !isPlainObject(second)) {
+    return { ...resolveChannel(first, third), data: second };
+  }
+
+  const legacy = isSubscribed(resolveIdentifier(first, second));
+  const documented = isSubscribed(resolveIdentifier(first, third));
+  if (legacy && !documented) {
+    warnDeprecated('acReceiveMessage', 'pass (channel, data, params) or ({ channel, params, data }) instead of (channel, params, data)');
+    return { ...resolveChannel(first, second), data: third };
+  }
+  if (!documented) {
+    warnAmbiguous('acReceiveMessage', 'no subscription tells whether the arguments are (channel, data, params) or the legacy ' +
+      '(channel, params, data), read as (channel, data, params). Pass ({ channel, params, data }) instead');
+  }
+
+  return { ...resolveChannel(first, third), data: second };
+};
+
+/**
+ * Arguments of acSimulateConversation: (channel, messages, params?, options?)
+ * or ({ channel, params, messages, ...options })
+ *
+ * The legacy order (channel, params, messages, options) is recognized by
+ * where the messages array is
+ *
+ * @param {array} args - Command arguments
+ * @returns {object} - { channel, params, messages, options }
+ */
+export const conversationArgs = (args) => {
+  const [first, second, third, fourth] = args;
+  if (isCommandOptions(first)) {
+    const { channel, params, messages = [], ...options } = first;
+    return { ...resolveChannel(channel, params), messages, options };
+  }
+
+  if (!Array.isArray(second) && Array.isArray(third)) {
+    warnDeprecated('acSimulateConversation', 'pass (channel, messages, params) or ({ channel, params, messages }) instead of (channel, params, messages)');
+    return { ...resolveChannel(first, second), messages: third, options: fourth || {} };
+  }
+
+  return { ...resolveChannel(first, third), messages: second || [], options: fourth || {} };
+};
+
+/**
+ * Arguments of acAssertMessageSent: (expectedData, options?), (channel, expectedData, options?)
+ * or ({ channel, params, data, ...options })
+ *
+ * @param {array} args - Command arguments
+ * @returns {object} - { channel, params, data, options }; channel is undefined when not scoped
+ */
+export const assertMessageArgs = (args) => {
+  const [first, second, third] = args;
+  if (isCommandOptions(first)) {
+    const { channel, params, data, ...options } = first;
+    return { ...resolveChannel(channel, params), data, options };
+  }
+
+  if (typeof first === 'string') {
+    const { params, ...options } = third || {};
+    return { ...resolveChannel(first, params), data: second, options };
+  }
+
+  return { channel: undefined, params: {}, data: first, options: second || {} };
+};
+
+// Objects that could be channel params, as opposed to arrays and primitive message data
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Identifier object for a channel argument and params
+const resolveIdentifier = (channel, params) => {
+  const resolved = resolveChannel(channel, params);
+  return { channel: resolved.channel, ...resolved.params };
+};
@@ -0,0 +1,192 @@
+// Message Matching Helpers
+//
+// RESPONSIBILITIES:
+// 1. Compare recorded Action Cable messages against expected shapes
+// 2. Shared by the conversation runner and the message assertions
+// 3. Explain mismatches so failed assertions show the closest messages
+//
+// Expected shapes may contain matchers anywhere a value is expected:
+// - any(Number), any(String), ... : any value of that type
+// - a RegExp                      : a string matching it
+// - a function                    : a predicate receiving the actual value
+//
+
+// Marks the value returned by any()
+class AnyMatcher {
+  constructor(type) {
+    this.type = type;
+  }
+
+  matches(actual) {
+    if (actual === null || actual === undefined) {
+      return false;
+    }
+    switch (this.type) {
+      case String: return typeof actual === 'string' || actual instanceof String;
+      case Number: return typeof actual === 'number' || actual instanceof Number;
+      case Boolean: return typeof actual === 'boolean' || actual instanceof Boolean;
+      case Object: return typeof actual === 'object';
+      case Array: return Array.isArray(actual);
+      default: return actual instanceof this.type;
+    }
+  }
+
+  toString() {
+    return `any(${this.type.name})`;
+  }
+}
+
+/**
+ * Match any value of a type, like expect.any() in Jest
+ *
+ * @param {function} type - Constructor: String, Number, Boolean, Object, Array or a class
+ * @returns {AnyMatcher}
+ */
+export const any = (type) => {
+  if (typeof type !== 'function') {
+    throw new Error('any() expects a constructor such as Number or String');
+  }
+  return new AnyMatcher(type);
+};
+
+// Whether expected is a matcher rather than a literal value
+const isMatcher = (expected) => {
+  return expected instanceof AnyMatcher || expected instanceof RegExp || typeof expected === 'function';
+};
+
+// Evaluate a matcher against a value
+const matchesMatcher = (actual, expected) => {
+  if (expected instanceof AnyMatcher) {
+    return expected.matches(actual);
+  }
+  if (expected instanceof RegExp) {
+    return typeof actual === 'string' && expected.test(actual);
+  }
+  try {
+    return !!expected(actual);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Collect the differences between a value and an expected shape
+ *
+ * @param {*} actual - Recorded value
+ * @param {*} expected - Expected shape, possibly containing matchers
+ * @param {object} options - { partial } ignores keys that are not expected
+ * @param {string} path - Path of the values, for messages
+ * @returns {array} - [{ path, expected, actual, unexpected? }], empty when the value matches
+ */
+export const findDifferences = (actual, expected, options = {}, path = '') => {
+  if (expected === actual) {
+    return [];
+  }
+
+  if (isMatcher(expected)) {
+    return matchesMatcher(actual, expected) ? [] : [{ path, expected, actual }];
+  }
+
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual) || actual.length !== expected.length) {
+      return [{ path, expected, actual }];
+    }
+    return expected.reduce((differences, item, index) =>
+      differences.concat(findDifferences(actual[index], item, options, `${path}[${index}]`)), []);
+  }
+
+  if (expected && typeof expected === 'object') {
+    if (actual === null || typeof actual !== 'object' || Array.isArray(actual)) {
+      return [{ path, expected, actual }];
+    }
+
+    const differences = Object.keys(expected).reduce((result, key) =>
+      result.concat(findDifferences(actual[key], expected[key], options, path ? `${path}.${key}` : key)), []);
+
+    if (!options.partial) {
+      Object.keys(actual)
+        .filter(key => !(key in expected))
+        .forEach(key => differences.push({ path: path ? `${path}.${key}` : key, unexpected: true, actual: actual[key] }));
+    }
+    return differences;
+  }
+
+  return [{ path, expected, actual }];
+};
+
+/**
+ * Deep partial match: every key in expected must be present in actual with a
+ * matching value; extra keys in actual are ignored. Arrays match element-wise
+ * and must have the same length
+ *
+ * @param {*} actual - Recorded value
+ * @param {*} expected - Expected shape
+ * @returns {boolean} - Whether actual matches
+ */
+export const matchesPartial = (actual, expected) => {
+  return findDifferences(actual, expected, { partial: true }).length === 0;
+};
+
+/**
+ * Deep exact match: like matchesPartial, but objects may not have extra keys
+ *
+ * @param {*} actual - Recorded value
+ * @param {*} expected - Expected shape
+ * @returns {boolean} - Whether actual matches
+ */
+export const matchesExact = (actual, expected) => {
+  return findDifferences(actual, expected).length === 0;
+};
+
+/**
+ * Render an expected shape for messages, matchers included
+ *
+ * @param {*} value - Value or expected shape
+ * @returns {string}
+ */
+export const describeValue = (value) => {
+  if (value === undefined) {
+    return 'undefined';
+  }
+  if (value instanceof AnyMatcher || value instanceof RegExp) {
+    return value.toString();
+  }
+  if (typeof value === 'function') {
+    return `[Function${value.name ? ` ${value.name}` : ''}]`;
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(describeValue).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{ ${Object.keys(value).map(key => `${key}: ${describeValue(value[key])}`).join(', ')} }`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Describe the recorded messages closest to an expected shape
+ *
+ * @param {array} messages - Journal entries to rank
+ * @param {*} expected - Expected data
+ * @param {object} options - { partial, limit }
+ * @returns {string} - One block per candidate, or a note when there are none
+ */
+export const describeClosest = (messages, expected, options = {}) => {
+  const { limit = 3 } = options;
+  if (messages.length === 0) {
+    return '  (no messages)';
+  }
+
+  return messages
+    .map(message => ({ message, differences: findDifferences(message.data, expected, options) }))
+    .sort((a, b) => a.differences.length - b.differences.length)
+    .slice(0, limit)
+    .map(({ message, differences }) => {
+      const lines = differences.map(difference => difference.unexpected ?
+        `      ${difference.path}: unexpected ${describeValue(difference.actual)}` :
+        `      ${difference.path || '(value)'}: expected ${describeValue(difference.expected)}, got ${describeValue(difference.actual)}`
+      );
+      return [`  - ${message.channel || 'connection'} ${describeValue(message.data)}`].concat(lines).join('\n');
+    })
+    .join('\n');
+};
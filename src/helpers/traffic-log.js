@@ -0,0 +1,135 @@
+// Traffic Log of the Action Cable Mock
+//
+// RESPONSIBILITIES:
+// 1. Turn the message journal into one self-contained JSON document per test
+// 2. Summarize connections and subscriptions next to the chronological entries
+// 3. Shared by the per-test export (see plugin/index.js) and cy.acTrafficLog()
+//
+// Format (version 1):
+// {
+//   version: 1,
+//   creator: 'cypress-action-cable',
+//   test: { title, spec, state, attempt },
+//   startedAt, endedAt,                       ISO timestamps of the first and last entry
+//   connections: [{ id, url, params, protocols, cookies, outcome, open, pings }],
+//   subscriptions: [{ identifier, channel, connectionId, state, subscribedAt, settledAt, unsubscribedAt }],
+//   entries: [{ offset, timestamp, type, event, channel, identifier, connectionId, action, data }],
+//   network: { up: {...}, down: {...} } or null
+// }
+// offset is in ms since startedAt. Cookies are listed by name only, their
+// values may be credentials. For the same reason query string values in URLs
+// and connection params are replaced with '[redacted]', unless redact is false.
+//
+
+export const TRAFFIC_LOG_VERSION = 1;
+
+// Task the Node plugin registers to write traffic logs
+export const TRAFFIC_TASK = 'actionCable:saveTraffic';
+
+// Stands in for credential values
+export const REDACTED = '[redacted]';
+
+// URL with its query string values redacted, names kept
+const redactUrl = (url) => (typeof url === 'string' ? url.replace(/([?&][^=&#]+)=[^&#]*/g, `$1=${REDACTED}`) : url);
+
+// Params with their values redacted, names kept
+const redactParams = (params) => (params ? Object.fromEntries(Object.keys(params).map(key => [key, REDACTED])) : params);
+
+// Connection entries ('connect', 'connection_rejected') carry the URL and params of the handshake
+const redactEntry = (entry) => {
+  if (entry.type !== 'system' || !entry.data || typeof entry.data !== 'object' || !('url' in entry.data || 'params' in entry.data)) {
+    return entry;
+  }
+  return { ...entry, data: { ...entry.data, url: redactUrl(entry.data.url), params: redactParams(entry.data.params) } };
+};
+
+// Subscriptions over time, from their journal events
+const collectSubscriptions = (entries) => {
+  const subscriptions = [];
+  const current = {};
+
+  entries.filter(entry => entry.type === 'system').forEach(entry => {
+    const key = `${entry.connectionId} ${entry.identifier}`;
+    const subscription = current[key];
+
+    switch (entry.event) {
+      case 'subscribe':
+        current[key] = {
+          identifier: entry.identifier,
+          channel: entry.channel,
+          connectionId: entry.connectionId,
+          state: 'pending',
+          subscribedAt: entry.timestamp,
+          settledAt: null,
+          unsubscribedAt: null
+        };
+        subscriptions.push(current[key]);
+        break;
+      case 'confirm':
+      case 'reject':
+        if (subscription) {
+          subscription.state = entry.event === 'confirm' ? 'confirmed' : 'rejected';
+          subscription.settledAt = entry.timestamp;
+        }
+        break;
+      case 'unsubscribe':
+        if (subscription) {
+          subscription.state = 'unsubscribed';
+          subscription.unsubscribedAt = entry.timestamp;
+          delete current[key];
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  return subscriptions;
+};
+
+// Connections from the handshakes the mock saw, with the ones still open
+const collectConnections = (mock, redact) => {
+  const open = mock.getConnections();
+  return mock.getConnectionRequests().map(request => {
+    const connection = open.find(candidate => candidate.id === request.connectionId);
+    return {
+      id: request.connectionId,
+      url: redact ? redactUrl(request.url) : request.url,
+      params: redact ? redactParams(request.params) : request.params,
+      protocols: request.protocols,
+      cookies: Object.keys(request.cookies || {}),
+      outcome: request.outcome,
+      open: !!connection,
+      pings: connection ? connection.pings : null
+    };
+  });
+};
+
+/**
+ * Build the traffic log of a mock
+ *
+ * @param {ActionCableMock} mock - Mock whose journal to export
+ * @param {object} details
+ * @param {object} details.test - { title, spec, state, attempt }
+ * @param {object} details.network - Network stats, see getNetworkStats()
+ * @param {boolean} details.redact - Redact query string values and connection params (default: true)
+ * @returns {object} - See the format above
+ */
+export const buildTrafficLog = (mock, details = {}) => {
+  const { test = null, network = null, redact = true } = details;
+  const journal = mock.getMessages();
+  const startedAt = journal.length > 0 ? journal[0].timestamp : null;
+  const start = startedAt ? Date.parse(startedAt) : 0;
+
+  return {
+    version: TRAFFIC_LOG_VERSION,
+    creator: 'cypress-action-cable',
+    test,
+    startedAt,
+    endedAt: journal.length > 0 ? journal[journal.length - 1].timestamp : null,
+    connections: collectConnections(mock, redact),
+    subscriptions: collectSubscriptions(journal),
+    entries: journal.map(entry => ({ offset: Date.parse(entry.timestamp) - start, ...(redact ? redactEntry(entry) : entry) })),
+    network
+  };
+};
@@ -8,6 +8,7 @@
 //
 // These helpers complement the main ActionCable testing commands
 // with utility functions proven effective in complex real-world scenarios
+import { noMatchError } from '../mocks/channel-identifier.js';
 
 /**
  * Send a WebSocket message to the mock server
@@ -103,7 +104,12 @@ export const simulateNetworkInterruption = (duration = 3000) => {
     }
     
     cy.log(`Simulating network interruption for ${duration}ms`);
-    return win.mockActionCable.simulateNetworkInterruption(duration);
+    const reconnected = win.mockActionCable.simulateNetworkInterruption(duration);
+    
+    // The interruption lasts on the mock's clock: cy.tick() under cy.clock(),
+    // instantly in virtual time, a plain wait otherwise
+    cy.acTick(duration, { log: false });
+    return cy.wrap(reconnected, { log: false });
   });
 };
 
@@ -162,6 +168,7 @@ export const waitForActionCableEvent = (eventType, timeout = 5000) => {
 /**
  * Verify subscription exists and is active
  * Essential for debugging subscription-related issues
+ * Matches whatever the key order of the identifier; params may be partial
  * 
  * @param {string} channelName - Name of the channel
  * @param {object} params - Channel parameters
@@ -174,13 +181,10 @@ export const verifySubscription = (channelName, params = {}) => {
     }
     
     const channelIdentifier = { channel: channelName, ...params };
-    const identifier = JSON.stringify(channelIdentifier);
-    
-    const subscriptions = win.mockActionCable.getSubscriptions();
-    const subscription = subscriptions.find(sub => sub.identifier === identifier);
+    const subscription = win.mockActionCable.findSubscriptions(channelIdentifier)[0];
     
     if (!subscription) {
-      throw new Error(`No subscription found for channel: ${channelName}`);
+      throw noMatchError('No subscription', channelIdentifier, win.mockActionCable.getSubscriptions());
     }
     
     cy.log('Verified subscription exists:', channelIdentifier);
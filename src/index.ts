@@ -16,16 +16,45 @@ export * from './types/index.js';
 
 // Re-export mocks for advanced users who need direct access
 export { ActionCableMock } from './mocks/action-cable-mock.js';
-export { setupMockActionCable, teardownMockActionCable } from './mocks/mock-websocket.js';
+export {
+  setupMockActionCable,
+  teardownMockActionCable,
+  attachMockActionCable,
+  getMockActionCable,
+  setNetworkConditions,
+  getNetworkStats,
+  getReplayProgress,
+  setupCableRecording,
+  attachCableRecording,
+  getCableRecorder
+} from './mocks/mock-websocket.js';
+export { NetworkShaper, NETWORK_PROFILES } from './mocks/network-conditions.js';
+export { MockClock } from './mocks/mock-clock.js';
+export { MockLogger, LOG_LEVELS, normalizeLogging } from './mocks/mock-logger.js';
+export { MockPeer } from './mocks/mock-peer.js';
+export { StrictMode, STRICT_CHECKS, normalizeStrict, violationsError } from './mocks/strict-mode.js';
+export { ChannelContracts, CONTRACTS_VERSION } from './mocks/channel-contracts.js';
+export { validateSchema } from './mocks/json-schema.js';
+export { StreamRegistry, broadcastingFor } from './mocks/stream-registry.js';
+export {
+  canonicalIdentifier,
+  sameIdentifier,
+  identifierIncludes,
+  findSubscriptions
+} from './mocks/channel-identifier.js';
+export { CableRecorder } from './mocks/cable-recorder.js';
+export { CableReplayer, compileSession } from './mocks/cable-replayer.js';
 
 // Re-export helpers for users who want to extend functionality
 export * from './helpers/websocket-helpers.js';
+export { any, matchesPartial, matchesExact } from './helpers/message-matchers.js';
+export { buildTrafficLog } from './helpers/traffic-log.js';
 
 // Note: The main functionality is provided through Cypress commands:
 // - cy.mockActionCable() - Initialize complete mock infrastructure
 // - cy.acSubscribe(channelName, params) - Subscribe to channel
-// - cy.acReceiveMessage(channelName, params, data) - Simulate server messages
-// - cy.acSimulateConversation(channelName, params, messages) - Multiple messages sequence
+// - cy.acReceiveMessage(channelName, data, params) - Simulate server messages
+// - cy.acSimulateConversation(channelName, messages, params) - Multiple messages sequence
 // - cy.acSubscription(channelName, params) - Check subscription status
 // - cy.simulateNetworkInterruption(duration) - Test connection resilience
 // - cy.waitForActionCableEvent(eventType) - Wait for connection events
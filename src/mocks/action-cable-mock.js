@@ -4,26 +4,212 @@
  * It's independent of WebSocket transport layer
  *
  */
+import { MockClock } from './mock-clock';
+import { MockLogger, normalizeLogging } from './mock-logger';
+import { MockPeer } from './mock-peer';
+import { StreamRegistry, broadcastingFor } from './stream-registry';
+import { StrictMode, normalizeStrict } from './strict-mode';
+import { ChannelContracts } from './channel-contracts';
+import {
+  toIdentifierString,
+  parseIdentifier,
+  channelNameOf,
+  sameIdentifier,
+  canonicalIdentifier,
+  findSubscriptions
+} from './channel-identifier';
+
+// Reasons a Rails server gives in disconnect messages (ActionCable::INTERNAL[:disconnect_reasons])
+const DISCONNECT_REASONS = ['unauthorized', 'invalid_request', 'server_restart', 'remote'];
+
+// What may happen to traffic while the network is down, per kind of traffic
+const OFFLINE_POLICIES = {
+  perform: ['drop', 'error', 'buffer'],
+  broadcasts: ['drop', 'buffer']
+};
+
+// Whether a subscription belongs to a virtual peer rather than the application
+const isPeer = (subscription) => !!(subscription.connection && subscription.connection.peer);
+
 export class ActionCableMock {
-  constructor() {
+  /**
+   * @param {object} options - Mock behavior
+   * @param {boolean|function} options.autoConfirm - Subscription policy (default: true). true confirms
+   *   every subscription, false leaves them pending. A function receives the identifier object and the
+   *   subscription and returns 'confirm', 'reject' or 'pending' (or true/false)
+   * @param {number} options.welcomeDelay - Milliseconds before wire clients get the welcome message (default: 0)
+   * @param {boolean|string|object} options.logging - Log level ('silent', 'error', 'info', 'debug'),
+   *   true for 'debug', false for 'silent', or { level, channels, commandLog } (default: 'error')
+   * @param {object|boolean} options.ping - Keepalive pings to wire clients: { interval, jitter } in
+   *   milliseconds (default: { interval: 3000, jitter: 0 }, like a Rails server), or false for none
+   * @param {function} options.authenticate - Connection policy, like ApplicationCable::Connection#connect.
+   *   Receives { url, params, protocols, cookies } and returns 'welcome' (or true), 'reject' (or false)
+   *   to refuse with an unauthorized disconnect, or 'close' to drop the socket. Default: welcome everyone
+   * @param {string} options.timing - 'app' (default) runs delays on the application's timers, so
+   *   cy.clock() controls them. 'virtual' runs them on a virtual clock that only moves with advanceTime()
+   * @param {object} options.offline - Traffic while the network is down (see goOffline):
+   *   perform: 'drop' (default) loses in-process client actions, 'error' throws from perform(),
+   *   'buffer' sends them once back online. broadcasts: 'drop' (default) loses server messages,
+   *   'buffer' holds them. replay: whether buffered broadcasts reach their subscriptions once
+   *   back online (default: true); false discards them
+   * @param {boolean|object} options.strict - Fail the test on unhandled traffic: true runs every
+   *   check, or pick them: { unhandledBroadcasts, unknownActions, unknownChannels, callbackErrors,
+   *   contracts, allow }. Checks an object doesn't set are off, unless it sets none. allow lists channel names, 'Channel#action', stream names, regular expressions
+   *   or functions of the violation to let through (default: off)
+   * @param {object} options.contracts - Channel contracts to validate traffic against, as exported
+   *   by the Rails application or { ChannelName: { params, actions, broadcasts } }, see channel-contracts.js
+   */
+  constructor(options = {}) {
+    this.options = {
+      autoConfirm: true,
+      welcomeDelay: 0,
+      ...options
+    };
+    
+    this.options.logging = { level: 'error', ...normalizeLogging(this.options.logging) };
+    
+    this.options.strict = normalizeStrict(this.options.strict);
+    
+    this.options.offline = { perform: 'drop', broadcasts: 'drop', replay: true, ...this.options.offline };
+    Object.keys(OFFLINE_POLICIES).forEach(key => {
+      if (!OFFLINE_POLICIES[key].includes(this.options.offline[key])) {
+        throw new Error(`Unknown offline ${key} policy '${this.options.offline[key]}'. Use one of: ${OFFLINE_POLICIES[key].join(', ')}`);
+      }
+    });
+    
+    if (this.options.ping !== false) {
+      this.options.ping = { interval: 3000, jitter: 0, ...(this.options.ping === true ? {} : this.options.ping) };
+    }
+    
     // Internal array of subscriptions
     this._subscriptionsList = [];
     
-    // Track sent messages for test verification
-    this.sentMessages = [];
+    // Journal of incoming, outgoing and system messages for test verification
+    this._messages = [];
+    
+    // Listeners following the journal as it grows
+    this._observers = [];
+    
+    // Clients connected over the WebSocket transport
+    this._connections = [];
+    
+    // Fake server-side channel behavior, keyed by channel name
+    this._channels = {};
+    
+    // Drives pings, delays and interruptions: the application's timers or virtual time
+    this.clock = new MockClock({
+      timing: this.options.timing,
+      onError: error => this.logger.error('Error in timer callback', { error })
+    });
+    
+    // Ping emission, paused to let clients detect a stale connection
+    this._pingsPaused = false;
+    
+    // Reconnects since setup or the last page load: connections opened while a lost
+    // one still waits to be replaced, so each consumer only counts its own
+    this._reconnectAttempts = 0;
+    this._awaitingReconnect = 0;
+    
+    // Connections of the page before the last load, their clients won't come back
+    this._unloadedConnections = new Set();
+    
+    // Credentials every wire client presented, with the authentication outcome
+    this._connectionRequests = [];
     
     // Connection status
     this.connected = false;
     
+    // Network state: while offline no traffic reaches either side
+    this.offline = false;
+    
+    // Traffic held back while offline, according to the offline policies
+    this._offlinePerforms = [];
+    this._offlineBroadcasts = [];
+    
+    // Virtual peer clients by name, see peer()
+    this._peers = {};
+    
+    // Streams channel definitions declare, see defineChannel()
+    this._streams = new StreamRegistry();
+    
+    // Checks failing the test on unhandled traffic, and what they caught
+    this.strict = new StrictMode(this.options.strict);
+    this._violations = [];
+    
+    // Contracts subscriptions, client actions and server messages are validated against
+    this.contracts = new ChannelContracts();
+    if (this.options.contracts) {
+      this.contracts.load(this.options.contracts);
+    }
+    
     // Server ID for debugging
     this.server_id = Math.random().toString(36).substring(2, 15);
     
-    console.log(`[ActionCableMock ${this.server_id}] Initialized`);
+    // Levelled, per-channel logging to the console or the command log
+    this.logger = new MockLogger({ ...this.options.logging, prefix: `[ActionCableMock ${this.server_id}]` });
+    
+    this.logger.debug('Initialized');
     
     // Connect immediately without delay
     this.connect();
   }
 
+  /**
+   * Schedule pings and delays with another window's timers
+   * Using the application window lets cy.clock() and cy.tick() drive them
+   * 
+   * @param {Window} win - Window providing setTimeout, clearTimeout and Date
+   */
+  useTimers(win) {
+    this.clock.useTimers(win);
+  }
+
+  /**
+   * Run a callback after a delay on the mock's clock
+   * 
+   * @param {function} callback - Called once the delay passed
+   * @param {number} delay - Milliseconds
+   * @returns {*} - Timer handle for cancel()
+   */
+  schedule(callback, delay) {
+    return this.clock.setTimeout(callback, delay);
+  }
+
+  /**
+   * Cancel a callback registered with schedule()
+   * 
+   * @param {*} timer - Handle returned by schedule()
+   */
+  cancel(timer) {
+    this.clock.clearTimeout(timer);
+  }
+
+  /**
+   * Current time on the mock's clock, in milliseconds
+   */
+  now() {
+    return this.clock.now();
+  }
+
+  // ISO timestamp on the mock's clock, so journal entries follow virtual time and cy.clock()
+  _timestamp() {
+    return new Date(this.now()).toISOString();
+  }
+
+  /**
+   * Let virtual time pass: runs every delay, ping and interruption falling due, without waiting
+   * Clients get to answer each frame before the next timer runs. Only with timing: 'virtual'
+   * 
+   * @param {number} ms - Milliseconds to advance
+   * @returns {Promise<number>} - Resolves with the number of timers that ran
+   */
+  advanceTime(ms) {
+    return this.clock.advanceAsync(ms).then(ran => {
+      this.logger.debug(`Advanced virtual time by ${ms}ms (${ran} timers ran)`);
+      return ran;
+    });
+  }
+
   /**
    * Subscribe to a channel
    * 
@@ -32,61 +218,101 @@ export class ActionCableMock {
    */
   subscribe(channelIdentifier) {
     // Convert to string if object
-    const identifier = typeof channelIdentifier === 'string' 
-      ? channelIdentifier 
-      : JSON.stringify(channelIdentifier);
+    const identifier = toIdentifierString(channelIdentifier);
     
-    console.log(`[ActionCableMock ${this.server_id}] Subscribing to:`, identifier);
+    this.logger.info('Subscribing', { identifier });
     
-    // Check if already subscribed
-    const existingSub = this._subscriptionsList.find(sub => sub.identifier === identifier);
+    // Check if already subscribed (in-process subscriptions only, every socket has its own)
+    const existingSub = this._subscriptionsList.find(sub => !sub.connection && sameIdentifier(sub.identifier, identifier));
     if (existingSub) {
-      console.log(`[ActionCableMock ${this.server_id}] Already subscribed to:`, identifier);
+      this.logger.debug('Already subscribed', { identifier });
       return existingSub;
     }
     
-    // Create a new subscription object that mimics the real ActionCable subscription
+    const subscription = this._buildSubscription(identifier);
+
+    // Add to subscriptions list
+    this._subscriptionsList.push(subscription);
+    this._record('system', { event: 'subscribe', identifier });
+    this._checkChannel(subscription);
+    this._applySubscriptionPolicy(subscription);
+    return subscription;
+  }
+
+  /**
+   * Create a subscription object that mimics the real ActionCable subscription
+   * 
+   * @param {string} identifier - Channel identifier as a JSON string
+   * @param {object|null} connection - Wire connection the subscription belongs to, null for in-process
+   * @returns {object} - The subscription object
+   */
+  _buildSubscription(identifier, connection = null) {
     const subscription = {
       identifier,
+      connection,
+      // Lifecycle: pending -> confirmed | rejected, then unsubscribed
+      state: 'pending',
+      get confirmed() {
+        return this.state === 'confirmed';
+      },
       callbacks: {
         connected: [],
         disconnected: [],
         received: [],
+        rejected: [],
       },
       
       // Perform an action (e.g., 'speak')
       perform: (action, data) => {
-        console.log(`[ActionCableMock ${this.server_id}] Perform:`, action, data);
-        
-        // Ensure sentMessages array exists
-        if (!this.sentMessages) {
-          this.sentMessages = [];
+        // Nothing reaches the server while the network is down; peers have a network of their own
+        if (this.offline && !isPeer(subscription)) {
+          return this._performOffline(subscription, action, data);
         }
         
+        this.logger.info(`Perform ${action}`, { identifier, data });
+        this._checkContract(this.contracts.checkAction(channelNameOf(identifier), action, data || {}), {
+          identifier,
+          action,
+          data,
+          connection: subscription.connection
+        });
+        
         // Record the sent message for test verification
-        const messageData = {
+        this._record('outgoing', {
           identifier,
-          data: JSON.stringify({ action, ...data }),
-        };
-        this.sentMessages.push(messageData);
+          action,
+          data: { action, ...data },
+          connection: subscription.connection
+        });
+        
+        // Let a registered channel handler answer. Wire commands are already
+        // asynchronous; in-process ones are deferred so the reply never
+        // arrives in the middle of the caller's perform()
+        if (subscription.connection) {
+          this._runHandler(subscription, action, { action, ...data });
+        } else {
+          Promise.resolve().then(() => this._runHandler(subscription, action, { action, ...data }));
+        }
       },
       
       // Unsubscribe from the channel
       unsubscribe: () => {
-        console.log(`[ActionCableMock ${this.server_id}] Unsubscribing from:`, identifier);
-        const index = this._subscriptionsList.findIndex(sub => sub.identifier === identifier);
+        this.logger.info('Unsubscribing', { identifier });
+        const index = this._subscriptionsList.indexOf(subscription);
         if (index !== -1) {
           this._subscriptionsList.splice(index, 1);
+          subscription.state = 'unsubscribed';
+          this._record('system', { event: 'unsubscribe', identifier, connection: subscription.connection });
         }
       },
       
       // Add connected callback
       connected: (callback) => {
-        console.log(`[ActionCableMock ${this.server_id}] Adding connected callback for:`, identifier);
+        this.logger.debug('Adding connected callback', { identifier });
         if (typeof callback === 'function') {
           subscription.callbacks.connected.push(callback);
-          // If already connected, call the callback immediately
-          if (this.connected) {
+          // If already confirmed and connected, call the callback immediately
+          if (this.connected && subscription.state === 'confirmed') {
             callback.call(subscription);
           }
         }
@@ -95,7 +321,7 @@ export class ActionCableMock {
       
       // Add disconnected callback
       disconnected: (callback) => {
-        console.log(`[ActionCableMock ${this.server_id}] Adding disconnected callback for:`, identifier);
+        this.logger.debug('Adding disconnected callback', { identifier });
         if (typeof callback === 'function') {
           subscription.callbacks.disconnected.push(callback);
           // If already disconnected, call the callback immediately
@@ -108,19 +334,628 @@ export class ActionCableMock {
       
       // Add received callback
       received: (callback) => {
-        console.log(`[ActionCableMock ${this.server_id}] Adding received callback for:`, identifier);
+        this.logger.debug('Adding received callback', { identifier });
         if (typeof callback === 'function') {
           subscription.callbacks.received.push(callback);
         }
         return subscription;
+      },
+      
+      // Add rejected callback, called when the server refuses the subscription
+      rejected: (callback) => {
+        this.logger.debug('Adding rejected callback', { identifier });
+        if (typeof callback === 'function') {
+          subscription.callbacks.rejected.push(callback);
+          // If already rejected, call the callback immediately
+          if (subscription.state === 'rejected') {
+            callback.call(subscription);
+          }
+        }
+        return subscription;
       }
     };
 
-    // Add to subscriptions list
-    this._subscriptionsList.push(subscription);
     return subscription;
   }
 
+  /**
+   * Add an entry to the message journal
+   * Wire and in-process consumers share this history
+   * 
+   * @param {string} type - 'incoming' (server to client), 'outgoing' (client to server) or 'system'
+   * @param {object} details - event (system only), identifier, action, data, connection,
+   *   stream (broadcasts to a named stream)
+   * @returns {object} - The journal entry
+   */
+  _record(type, { event, identifier = null, action, data, connection = null, stream = null } = {}) {
+    const entry = {
+      type,
+      identifier,
+      channel: channelNameOf(identifier),
+      data,
+      timestamp: this._timestamp(),
+      connectionId: connection ? connection.id : null,
+    };
+    if (event) {
+      entry.event = event;
+    }
+    if (action) {
+      entry.action = action;
+    }
+    if (connection && connection.peer) {
+      entry.peer = connection.peer;
+    }
+    if (stream) {
+      entry.stream = stream;
+    }
+    
+    this._messages.push(entry);
+    this._observers.forEach(listener => {
+      try {
+        listener(entry);
+      } catch (error) {
+        this.logger.error('Error in journal observer', { error });
+      }
+    });
+    return entry;
+  }
+
+  /**
+   * Follow the journal: the listener receives every entry as it is recorded
+   * 
+   * @param {function} listener - Called with each new journal entry
+   * @returns {function} - Stops observing
+   */
+  observe(listener) {
+    this._observers.push(listener);
+    return () => {
+      this._observers = this._observers.filter(other => other !== listener);
+    };
+  }
+
+  // Journal a message that never reached the other side
+  _recordLost(direction, { identifier = null, action, data, connection = null }, reason) {
+    this.logger.info(`Lost ${direction === 'up' ? 'client action' : 'server message'} (${reason})`, { identifier, connectionId: connection ? connection.id : null, data });
+    return this._record('system', { event: 'lost', identifier, action, connection, data: { direction, reason, message: data } });
+  }
+
+  /**
+   * Messages lost to the network, oldest first
+   * direction is 'up' (client action) or 'down' (server message); reason is 'offline'
+   * (sent while the network was down), 'discarded' (buffered broadcast dropped on
+   * reconnect) or 'unsubscribed' (buffered action whose subscription was gone)
+   * 
+   * @returns {object[]} - [{ direction, reason, identifier, channel, action, data, timestamp, connectionId }]
+   */
+  getLostMessages() {
+    return this._messages
+      .filter(entry => entry.event === 'lost')
+      .map(({ data, ...entry }) => ({ ...entry, direction: data.direction, reason: data.reason, data: data.message }));
+  }
+
+  // Report traffic strict mode doesn't accept: journal it and fail the test, unless allowed
+  _violate(kind, message, { identifier = null, action, data, stream = null, error, connection = null } = {}) {
+    const violation = this.strict.report(kind, {
+      message,
+      channel: channelNameOf(identifier),
+      identifier,
+      action,
+      stream,
+      peer: connection && connection.peer ? connection.peer : null,
+      data,
+      error,
+      timestamp: this._timestamp()
+    });
+    if (!violation) {
+      return;
+    }
+
+    this._violations.push(violation);
+    this.logger.error(`Strict mode: ${message}`, { identifier, connectionId: connection ? connection.id : null, data, error });
+    this._record('system', { event: 'violation', identifier, action, connection, stream, data: { kind, message } });
+  }
+
+  /**
+   * What strict mode caught so far, oldest first
+   *
+   * @returns {object[]} - [{ kind, message, channel, identifier, action, stream, peer, data, error, timestamp }]
+   */
+  getViolations() {
+    return this._violations.slice();
+  }
+
+  /**
+   * Get the message journal, oldest first
+   * 
+   * @returns {object[]} - Copy of the journal entries
+   */
+  getMessages() {
+    return this._messages.slice();
+  }
+
+  /**
+   * Empty the message journal
+   * @param {function} filter - Only remove entries for which this returns true
+   */
+  clearMessages(filter) {
+    this._messages = filter ? this._messages.filter(entry => !filter(entry)) : [];
+  }
+
+  /**
+   * Whether the in-process consumer is connected
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Performed actions in the pre-journal format: { identifier, data } with data as a JSON string
+   * @deprecated Use getMessages() and filter on type 'outgoing'
+   */
+  get sentMessages() {
+    return this._messages
+      .filter(entry => entry.type === 'outgoing')
+      .map(entry => ({ identifier: entry.identifier, data: JSON.stringify(entry.data) }));
+  }
+
+  /**
+   * Register a client connected over the WebSocket transport and greet it
+   * 
+   * @param {function} send - Delivers a protocol frame (plain object) to the client; with
+   *   { close: true } as second argument it closes the socket once the frame has arrived
+   * @param {object} details - Connection details
+   * @param {string} details.url - URL the client connected to, including any query string
+   * @param {function} details.close - Closes the client's socket from the server side
+   * @param {string[]} details.protocols - WebSocket subprotocols the client offered
+   * @param {object} details.cookies - Cookies the browser would send with the handshake
+   * @returns {object} - Connection handle for receiveCommand and closeConnection
+   */
+  openConnection(send, { url = null, close = null, protocols = [], cookies = {} } = {}) {
+    const connection = {
+      id: Math.random().toString(36).substring(2, 10),
+      send,
+      close,
+      url,
+      // Query string parameters, e.g. auth tokens passed to createConsumer
+      params: url ? Object.fromEntries(new URL(url).searchParams) : {},
+      // Pings sent over this connection
+      pings: 0,
+      pingTimer: null
+    };
+    this._connections.push(connection);
+    if (this._awaitingReconnect > 0) {
+      this._awaitingReconnect--;
+      this._reconnectAttempts++;
+    }
+    
+    this.logger.info('Client connected', { connectionId: connection.id, data: { url } });
+    
+    // Authenticate, then send the welcome message (this is what ActionCable does)
+    const handshake = () => {
+      if (!this._connections.includes(connection)) {
+        return;
+      }
+      
+      // The handshake can't get through while the network is down
+      if (this.offline) {
+        this.logger.info('Connection failed, network offline', { connectionId: connection.id });
+        this._record('system', { event: 'connection_rejected', connection, data: { url, params: connection.params, outcome: 'offline' } });
+        this.closeConnection(connection);
+        if (close) {
+          close();
+        }
+        return;
+      }
+      
+      const request = { url, params: connection.params, protocols, cookies };
+      const outcome = this._authenticate(request);
+      this._connectionRequests.push({ ...request, connectionId: connection.id, outcome });
+      
+      if (outcome === 'welcome') {
+        send({ type: 'welcome' });
+        this._record('system', { event: 'connect', connection, data: { url, params: connection.params } });
+        this._schedulePing(connection);
+        return;
+      }
+      
+      this.logger.info(`Connection refused (${outcome})`, { connectionId: connection.id });
+      this._record('system', { event: 'connection_rejected', connection, data: { url, params: connection.params, outcome } });
+      this.closeConnection(connection, { willReconnect: outcome !== 'reject' });
+      if (outcome === 'reject') {
+        send({ type: 'disconnect', reason: 'unauthorized', reconnect: false }, { close: true });
+      } else if (close) {
+        close();
+      }
+    };
+    if (this.options.welcomeDelay > 0) {
+      this.schedule(handshake, this.options.welcomeDelay);
+    } else {
+      handshake();
+    }
+    return connection;
+  }
+
+  // Run the authenticate option: 'welcome', 'reject' or 'close'
+  // A hook that throws refuses the connection, like an exception in Connection#connect
+  _authenticate(request) {
+    const { authenticate } = this.options;
+    if (typeof authenticate !== 'function') {
+      return 'welcome';
+    }
+    
+    let outcome;
+    try {
+      outcome = authenticate(request);
+    } catch (error) {
+      this.logger.error('Error in authenticate', { error });
+      return 'close';
+    }
+    
+    if (outcome === true || outcome === undefined || outcome === 'welcome') {
+      return 'welcome';
+    }
+    return outcome === 'close' ? 'close' : 'reject';
+  }
+
+  /**
+   * Credentials presented by every wire client, oldest first
+   * 
+   * @returns {array} - [{ url, params, protocols, cookies, connectionId, outcome }]
+   */
+  getConnectionRequests() {
+    return this._connectionRequests.slice();
+  }
+
+  // Send the next ping after the interval, like ActionCable::Server::Connections#setup_heartbeat_timer
+  // Rails clients treat a connection without pings for 6 seconds as stale and reconnect
+  _schedulePing(connection) {
+    const { ping } = this.options;
+    if (!ping || !this._connections.includes(connection)) {
+      return;
+    }
+    
+    const jitter = ping.jitter ? Math.round((Math.random() * 2 - 1) * ping.jitter) : 0;
+    connection.pingTimer = this.schedule(() => {
+      if (!this._pingsPaused) {
+        connection.send({ type: 'ping', message: Math.floor(this.now() / 1000) });
+        connection.pings++;
+      }
+      this._schedulePing(connection);
+    }, Math.max(0, ping.interval + jitter));
+  }
+
+  /**
+   * Stop sending pings; clients will consider their connection stale and reconnect
+   */
+  pausePings() {
+    this.logger.info('Pings paused');
+    this._pingsPaused = true;
+  }
+
+  /**
+   * Send pings again
+   */
+  resumePings() {
+    this.logger.info('Pings resumed');
+    this._pingsPaused = false;
+  }
+
+  /**
+   * Wire connections currently open
+   * 
+   * @returns {array} - Connection handles: { id, url, params, pings }
+   */
+  getConnections() {
+    return this._connections.slice();
+  }
+
+  /**
+   * Number of connections clients opened to replace one they lost
+   * Consumers connecting side by side don't count, each one's reconnects do
+   * 
+   * @returns {number}
+   */
+  getReconnectAttempts() {
+    return this._reconnectAttempts;
+  }
+
+  /**
+   * Start counting reconnect attempts from zero, e.g. when a new page loads
+   * Connections still open belong to the previous page, their closing isn't waited for
+   */
+  resetConnectionAttempts() {
+    this._reconnectAttempts = 0;
+    this._awaitingReconnect = 0;
+    this._unloadedConnections = new Set(this._connections);
+  }
+
+  /**
+   * Handle a protocol frame sent by a wire client
+   * 
+   * @param {object} connection - Handle returned by openConnection
+   * @param {object} frame - Parsed frame with command, identifier and data
+   * @returns {boolean} - Whether the command was understood
+   */
+  receiveCommand(connection, frame) {
+    const { command, identifier } = frame;
+    const subscription = this._subscriptionsList.find(sub => 
+      sub.connection === connection && sub.identifier === identifier
+    );
+    
+    this.logger.debug(`Received ${command}`, { identifier, connectionId: connection.id, frame });
+    
+    // Frames still underway when the network went down never arrive
+    if (this.offline && !connection.peer) {
+      if (command === 'message') {
+        const { action, ...data } = JSON.parse(frame.data);
+        this._recordLost('up', { identifier, action, data: { action, ...data }, connection }, 'offline');
+      }
+      return false;
+    }
+    
+    switch (command) {
+      case 'subscribe': {
+        if (subscription) {
+          this.logger.warn('Already subscribed', { identifier, connectionId: connection.id });
+          return false;
+        }
+        
+        const newSubscription = this._buildSubscription(identifier, connection);
+        this._subscriptionsList.push(newSubscription);
+        this._record('system', { event: 'subscribe', identifier, connection });
+        this._checkChannel(newSubscription);
+        this._applySubscriptionPolicy(newSubscription);
+        return true;
+      }
+      
+      case 'unsubscribe':
+        if (subscription) {
+          subscription.unsubscribe();
+          return true;
+        }
+        break;
+      
+      case 'message':
+        if (subscription) {
+          const { action, ...data } = JSON.parse(frame.data);
+          subscription.perform(action, data);
+          return true;
+        }
+        break;
+      
+      default:
+        this.logger.warn(`Unknown command ${command}`, { connectionId: connection.id, frame });
+        return false;
+    }
+    
+    this.logger.warn(`No subscription for ${command}`, { identifier, connectionId: connection.id, frame });
+    return false;
+  }
+
+  // In strict mode, subscriptions need a channel that handle(), defineChannel() or a contract
+  // sets up; their params have to keep to the contract
+  _checkChannel(subscription) {
+    const identifier = parseIdentifier(subscription.identifier);
+    const details = { identifier: subscription.identifier, connection: subscription.connection };
+    if (!this._channels[identifier.channel] && !this.contracts.has(identifier.channel)) {
+      this._violate('unknownChannels', `Subscribed to ${identifier.channel}, which no handler, channel definition or contract sets up`, details);
+    }
+    this._checkContract(this.contracts.checkParams(identifier), details);
+  }
+
+  // Report the ways traffic breaks a channel contract
+  _checkContract(problems, details) {
+    if (problems.length === 0) {
+      return;
+    }
+    // Without the contracts check, broken contracts are only logged
+    if (!this.strict.checks.contracts) {
+      this.logger.warn(`Contract broken: ${problems.join('; ')}`, { identifier: details.identifier, data: details.data });
+      return;
+    }
+    this._violate('contracts', problems.join('; '), details);
+  }
+
+  /**
+   * Decide a new subscription's fate according to the autoConfirm option
+   */
+  _applySubscriptionPolicy(subscription) {
+    const { autoConfirm } = this.options;
+    const decision = typeof autoConfirm === 'function'
+      ? autoConfirm(parseIdentifier(subscription.identifier), subscription)
+      : autoConfirm;
+    
+    if (decision === true || decision === 'confirm') {
+      this._confirm(subscription);
+    } else if (decision === 'reject') {
+      this._reject(subscription);
+    }
+    // Anything else leaves it pending until confirmSubscription or rejectSubscription
+  }
+
+  // Move a pending subscription to confirmed and tell its consumer
+  _confirm(subscription) {
+    if (subscription.state !== 'pending') {
+      return false;
+    }
+    
+    subscription.state = 'confirmed';
+    this._streams.track(subscription.identifier);
+    this.logger.info('Subscription confirmed', { identifier: subscription.identifier });
+    this._record('system', { event: 'confirm', identifier: subscription.identifier, connection: subscription.connection });
+    
+    if (subscription.connection) {
+      subscription.connection.send({ type: 'confirm_subscription', identifier: subscription.identifier });
+    } else if (this.connected) {
+      this._runCallbacks(subscription, 'connected');
+    }
+    
+    // Broadcasts buffered during an outage wait for the subscription to come back
+    this._replayBroadcasts();
+    return true;
+  }
+
+  // Refuse a pending subscription, like a channel calling reject in #subscribed
+  _reject(subscription) {
+    if (subscription.state !== 'pending') {
+      return false;
+    }
+    
+    subscription.state = 'rejected';
+    this.logger.info('Subscription rejected', { identifier: subscription.identifier });
+    this._record('system', { event: 'reject', identifier: subscription.identifier, connection: subscription.connection });
+    
+    // The server forgets rejected subscriptions
+    this._subscriptionsList = this._subscriptionsList.filter(sub => sub !== subscription);
+    
+    if (subscription.connection) {
+      subscription.connection.send({ type: 'reject_subscription', identifier: subscription.identifier });
+    } else {
+      this._runCallbacks(subscription, 'rejected');
+    }
+    return true;
+  }
+
+  // Call a subscription's callbacks of one type with the subscription as "this"
+  _runCallbacks(subscription, type, ...args) {
+    subscription.callbacks[type].forEach(callback => {
+      try {
+        callback.call(subscription, ...args);
+      } catch (error) {
+        this.logger.error(`Error in ${type} callback`, { identifier: subscription.identifier, error });
+        this._violate('callbackErrors', `${type} callback threw: ${error.message}`, { identifier: subscription.identifier, error });
+      }
+    });
+  }
+
+  /**
+   * Confirm the pending subscriptions with this identifier
+   * Needed when autoConfirm leaves subscriptions pending
+   * 
+   * @param {string|object} channelIdentifier - Channel identifier
+   * @returns {boolean} - Whether any subscription was confirmed
+   */
+  confirmSubscription(channelIdentifier) {
+    return this.findSubscriptions(channelIdentifier)
+      .map(sub => this._confirm(sub))
+      .some(Boolean);
+  }
+
+  /**
+   * Reject the pending subscriptions with this identifier
+   * In-process subscriptions get their rejected callbacks called,
+   * wire clients receive a reject_subscription frame
+   * 
+   * @param {string|object} channelIdentifier - Channel identifier
+   * @returns {boolean} - Whether any subscription was rejected
+   */
+  rejectSubscription(channelIdentifier) {
+    return this.findSubscriptions(channelIdentifier)
+      .map(sub => this._reject(sub))
+      .some(Boolean);
+  }
+
+  /**
+   * Forget a wire client and its subscriptions once its socket closed
+   * 
+   * @param {object} connection - Handle returned by openConnection
+   * @param {object} options
+   * @param {boolean} options.willReconnect - Whether the client will try again, so its next
+   *   connection counts as a reconnect (default: true; false after a disconnect without reconnect)
+   */
+  closeConnection(connection, { willReconnect = true } = {}) {
+    if (!this._connections.includes(connection)) {
+      return;
+    }
+    
+    this.logger.info('Client disconnected', { connectionId: connection.id });
+    if (willReconnect && !this._unloadedConnections.has(connection)) {
+      this._awaitingReconnect++;
+    }
+    this.cancel(connection.pingTimer);
+    this._connections = this._connections.filter(conn => conn !== connection);
+    this._subscriptionsList = this._subscriptionsList.filter(sub => sub.connection !== connection);
+  }
+
+  /**
+   * Register a fake channel action, standing in for a method on a Rails channel
+   * Example: handle('ChatChannel', 'speak', (data, ctx) => ctx.broadcast({ message: data.message }))
+   * 
+   * @param {string} channelName - Channel class name, e.g. 'ChatChannel'
+   * @param {string} action - Action the client performs
+   * @param {function} handler - Called with (data, ctx) when a client performs the action.
+   *   data includes the action, like in Rails. ctx offers transmit, broadcast and broadcastTo
+   * @returns {ActionCableMock} - The mock, for chaining
+   */
+  handle(channelName, action, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for ${channelName}#${action} must be a function`);
+    }
+    
+    this._channels[channelName] = this._channels[channelName] || { actions: {} };
+    this._channels[channelName].actions[action] = handler;
+    this.logger.debug(`Handler registered: ${channelName}#${action}`, { channel: channelName });
+    return this;
+  }
+
+  // Run the registered handler for a performed action, if any
+  _runHandler(subscription, action, data) {
+    const identifier = parseIdentifier(subscription.identifier);
+    const channel = this._channels[identifier.channel];
+    const handler = channel && channel.actions[action];
+    if (!handler) {
+      this._violate('unknownActions', `No handler for ${identifier.channel}#${action}`, {
+        identifier: subscription.identifier,
+        action,
+        data,
+        connection: subscription.connection
+      });
+      return false;
+    }
+    
+    const { channel: channelName, ...params } = identifier;
+    const ctx = {
+      mock: this,
+      subscription,
+      identifier,
+      params,
+      action,
+      
+      // Send to the performing subscription only, like transmit in a Rails channel
+      transmit: (message) => {
+        this._checkContract(this.contracts.checkBroadcast(channelName, message), { identifier: subscription.identifier, data: message });
+        this._record('incoming', { identifier: subscription.identifier, data: message, connection: subscription.connection });
+        return this._deliver(subscription, message) > 0;
+      },
+      
+      // Send to every subscription with the same identifier, the performer included
+      broadcast: (message) => this.simulateReceive(subscription.identifier, message),
+      
+      // Send to every subscription of another identifier
+      broadcastTo: (channelIdentifier, message) => this.simulateReceive(channelIdentifier, message),
+      
+      // Send to every subscription streaming from a named stream, like ActionCable.server.broadcast
+      broadcastToStream: (stream, message) => this.broadcast(stream, message),
+      
+      // Name of the peer that performed, null for the application
+      peer: isPeer(subscription) ? subscription.connection.peer : null,
+    };
+    
+    try {
+      handler(data, ctx);
+    } catch (error) {
+      this.logger.error(`Error in ${channelName}#${action} handler`, { channel: channelName, data, error });
+      this._record('system', {
+        event: 'error',
+        identifier: subscription.identifier,
+        action,
+        data: { message: error.message },
+        connection: subscription.connection
+      });
+    }
+    return true;
+  }
+
   /**
    * Create subscriptions property to match ActionCable API
    * This getter returns an object that mimics the ActionCable subscriptions interface
@@ -129,7 +964,7 @@ export class ActionCableMock {
     return {
       // Main method that creates a subscription - matches ActionCable's API
       create: (channelIdentifier, callbacks = {}) => {
-        console.log(`[ActionCableMock ${this.server_id}] Creating subscription for:`, channelIdentifier);
+        this.logger.debug('Creating subscription', { data: channelIdentifier });
         
         // Create the subscription
         const subscription = this.subscribe(channelIdentifier);
@@ -147,6 +982,10 @@ export class ActionCableMock {
           subscription.received(callbacks.received);
         }
         
+        if (callbacks.rejected && typeof callbacks.rejected === 'function') {
+          subscription.rejected(callbacks.rejected);
+        }
+        
         return subscription;
       }
     };
@@ -159,6 +998,64 @@ export class ActionCableMock {
     return this._subscriptionsList || [];
   }
 
+  /**
+   * Subscriptions a lookup addresses: identifiers match whatever their key order
+   * and id types; when none does, the subscriptions of the channel containing the
+   * given params match. A predicate receives the identifier object and the subscription
+   * 
+   * @param {string|object|function} query - Identifier, channel name or predicate
+   * @returns {array} - Matching subscriptions
+   */
+  findSubscriptions(query) {
+    return findSubscriptions(this._subscriptionsList, query);
+  }
+
+  // Subscriptions a server message to an identifier reaches: like Rails, only
+  // confirmed ones subscribed with that identifier, whatever its key order and id types.
+  // Pending subscriptions haven't started streaming yet
+  _subscriptionsTo(identifier) {
+    return this._subscriptionsList.filter(sub => sub.state === 'confirmed' && sameIdentifier(sub.identifier, identifier));
+  }
+
+  /**
+   * Forget the application's subscriptions without touching the connection state
+   * Used when the application window reloads: the previous page's
+   * subscriptions died with it and the new page will create its own.
+   * Peers keep theirs
+   */
+  resetSubscriptions() {
+    this.logger.debug(`Resetting ${this._subscriptionsList.length} subscription(s)`);
+    this._subscriptionsList = this._subscriptionsList.filter(isPeer);
+  }
+  
+  /**
+   * A virtual peer client: another user on the same cable, created on first use
+   * Its subscriptions and actions go through the same handlers and broadcasts
+   * as the application's
+   * 
+   * @param {string} name - Name of the peer, e.g. 'alice'
+   * @returns {MockPeer}
+   */
+  peer(name) {
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('Peer name must be a non-empty string');
+    }
+    if (!this._peers[name]) {
+      this.logger.info(`Peer ${name} joined`);
+      this._peers[name] = new MockPeer(this, name);
+    }
+    return this._peers[name];
+  }
+  
+  /**
+   * Peers created so far
+   * 
+   * @returns {MockPeer[]}
+   */
+  getPeers() {
+    return Object.values(this._peers);
+  }
+
   /**
    * Simulate receiving a message on a specific channel
    * This method mimics the server sending a message to the client
@@ -168,64 +1065,217 @@ export class ActionCableMock {
    * @returns {boolean} - Whether any callbacks were successfully called
    */
   simulateReceive(channelIdentifier, data) {
-    // Convert to string if object
-    const identifier = typeof channelIdentifier === 'string' 
-      ? channelIdentifier 
-      : JSON.stringify(channelIdentifier);
+    return this._receive(channelIdentifier, data) > 0;
+  }
+  
+  // Send a server message to the subscriptions of one identifier
+  // Returns how many consumers handled it; stream names the broadcasting it came from
+  _receive(channelIdentifier, data, stream = null) {
+    const identifier = toIdentifierString(channelIdentifier);
       
-    console.log(`[ActionCableMock ${this.server_id}] Simulating message on:`, identifier);
-    console.log(`[ActionCableMock ${this.server_id}] Message data:`, data);
+    this.logger.info('Simulating message', { identifier, data });
+    this._checkContract(this.contracts.checkBroadcast(channelNameOf(identifier), data), { identifier, data, stream });
+    
+    if (this.offline) {
+      // Only the application's side misses the message, peers are still online
+      const peers = this._subscriptionsTo(identifier).filter(isPeer);
+      peers.forEach(sub => this._deliver(sub, data));
+      this._receiveOffline(identifier, data);
+      return peers.length;
+    }
+    
+    this._record('incoming', { identifier, data, stream });
     
     // Check if the subscriptions list exists
     if (!this._subscriptionsList || !Array.isArray(this._subscriptionsList)) {
-      console.error(`[ActionCableMock ${this.server_id}] No valid subscriptions list`);
-      return false;
+      this.logger.error('No valid subscriptions list');
+      return 0;
     }
     
     // Find all matching subscriptions
-    const subscriptions = this._subscriptionsList.filter(sub => sub.identifier === identifier);
+    const subscriptions = this._subscriptionsTo(identifier);
     
     // Handle case where no subscriptions are found
     if (subscriptions.length === 0) {
-      console.warn(`[ActionCableMock ${this.server_id}] No subscriptions found for:`, identifier);
+      this.logger.warn(`No confirmed subscriptions found. Subscribed: ${this._subscriptionsList.map(sub => `${sub.identifier} (${sub.state})`).join(', ') || 'none'}`, { identifier, data });
+      this._violate('unhandledBroadcasts', `No subscription received the message to ${identifier}`, { identifier, data, stream });
       
       // Emit an event that tests can listen for 
       const event = new CustomEvent('actioncable:message:unhandled', { 
         detail: { channelIdentifier, data }
       });
       document.dispatchEvent(event);
-      return false;
+      return 0;
     }
     
     // Process all matching subscriptions
-    console.log(`[ActionCableMock ${this.server_id}] Found ${subscriptions.length} subscription(s)`);
+    this.logger.debug(`Found ${subscriptions.length} subscription(s)`, { identifier });
     let handledCount = 0;
     
     subscriptions.forEach(subscription => {
-      // Make sure the subscription has callbacks
-      if (subscription.callbacks && Array.isArray(subscription.callbacks.received)) {
-        // Call each callback with the message data
-        subscription.callbacks.received.forEach(callback => {
-          try {
-            // Use .call to set the "this" context to the subscription
-            callback.call(subscription, data);
-            handledCount++;
-          } catch (error) {
-            console.error(`[ActionCableMock ${this.server_id}] Error in callback:`, error);
-          }
-        });
-      } else {
-        console.warn(`[ActionCableMock ${this.server_id}] Subscription has no received callbacks`);
-      }
+      handledCount += this._deliver(subscription, data);
     });
     
-    return handledCount > 0;
+    return handledCount;
+  }
+  
+  /**
+   * Declare how a channel behaves on the server: the streams its subscriptions
+   * join (stream_from / stream_for) and its actions
+   * Example: defineChannel('ChatChannel', { streams: params => `chat_${params.room_id}` })
+   * 
+   * @param {string} channelName - Channel class name, e.g. 'ChatChannel'
+   * @param {object} definition
+   * @param {function} definition.streams - Receives the identifier params and { channel, streamFor },
+   *   returns the stream name(s) a subscription joins once confirmed. streamFor(model) names
+   *   the broadcasting like stream_for does, e.g. 'chat:42'
+   * @param {object} definition.actions - Handlers by action name, see handle()
+   * @param {object} definition.contract - Contract traffic on the channel is validated against, see defineContract()
+   * @returns {ActionCableMock} - The mock, for chaining
+   */
+  defineChannel(channelName, definition = {}) {
+    const { streams, actions = {}, contract } = definition;
+    this._channels[channelName] = this._channels[channelName] || { actions: {} };
+    if (contract) {
+      this.defineContract(channelName, contract);
+    }
+    if (streams) {
+      this._streams.declare(channelName, streams);
+    }
+    Object.keys(actions).forEach(action => this.handle(channelName, action, actions[action]));
+    this.logger.debug(`Channel defined: ${channelName}`, { channel: channelName });
+    return this;
+  }
+  
+  /**
+   * Declare a channel's contract: subscriptions, client actions and server messages
+   * on the channel that break it fail the test with the contracts check, or are logged
+   * Example: defineContract('ChatChannel', { actions: { speak: { type: 'object', required: ['message'] } } })
+   * 
+   * @param {string} channelName - Channel class name, e.g. 'ChatChannel'
+   * @param {object} contract - { params, actions, broadcasts }: JSON Schemas of the identifier
+   *   params, of each allowed action's payload and of messages to subscribers
+   * @returns {ActionCableMock} - The mock, for chaining
+   */
+  defineContract(channelName, contract) {
+    this.contracts.define(channelName, contract);
+    this.logger.debug(`Contract defined: ${channelName}`, { channel: channelName });
+    return this;
+  }
+  
+  /**
+   * Declare the contracts of a Rails-side export, see channel-contracts.js for the format
+   * 
+   * @param {object} exported - { version, channels, definitions }
+   * @returns {ActionCableMock} - The mock, for chaining
+   */
+  loadContracts(exported) {
+    this.contracts.load(exported);
+    this.logger.debug('Contracts loaded');
+    return this;
+  }
+  
+  /**
+   * Send a message to every subscription streaming from a named stream, on every
+   * consumer, like ActionCable.server.broadcast('chat_42', data)
+   * 
+   * @param {string} stream - Stream name
+   * @param {object} data - Message data
+   * @returns {number} - How many consumers handled it
+   */
+  broadcast(stream, data) {
+    // While offline the application's subscriptions are gone or unreachable, but
+    // its misses still follow the offline policies
+    const candidates = this.offline
+      ? this._streams.trackedIdentifiers()
+      : this._subscriptionsList.filter(sub => sub.state === 'confirmed').map(sub => sub.identifier);
+    // One delivery per identifier: it reaches every subscription equal to it, whatever their key order
+    const canonical = candidates.map(canonicalIdentifier);
+    const identifiers = candidates
+      .filter((identifier, index) => canonical.indexOf(canonical[index]) === index)
+      .filter(identifier => this.getStreams(identifier).includes(stream));
+    
+    this.logger.info(`Broadcasting to ${stream}: ${identifiers.length} identifier(s)`, { data });
+    if (identifiers.length === 0 && !this.offline) {
+      this._violate('unhandledBroadcasts', `No subscription streams from ${stream}`, { data, stream });
+    }
+    return identifiers.reduce((handled, identifier) => handled + this._receive(identifier, data, stream), 0);
+  }
+  
+  /**
+   * Broadcast to the stream a channel's stream_for(model) joins, like ChatChannel.broadcast_to(model, data)
+   * 
+   * @param {string} channelName - Channel class name
+   * @param {*} model - Id, string, { to_gid_param } or { id }, or an array of them
+   * @param {object} data - Message data
+   * @returns {number} - How many consumers handled it
+   */
+  broadcastTo(channelName, model, data) {
+    return this.broadcast(broadcastingFor(channelName, model), data);
+  }
+  
+  /**
+   * Streams subscriptions with this identifier join, per the channel definition
+   * 
+   * @param {string|object} channelIdentifier - Channel identifier
+   * @returns {string[]}
+   */
+  getStreams(channelIdentifier) {
+    const identifier = toIdentifierString(channelIdentifier);
+    try {
+      return this._streams.streamsFor(parseIdentifier(identifier));
+    } catch (error) {
+      this.logger.error('Error in streams declaration', { identifier, error });
+      return [];
+    }
+  }
+
+  /**
+   * Deliver a server message to one subscription
+   * 
+   * @param {object} subscription - Target subscription
+   * @param {object} data - Message data
+   * @returns {number} - How many consumers handled it
+   */
+  _deliver(subscription, data) {
+    // Wire subscriptions get the frame a Rails server would send
+    if (subscription.connection) {
+      subscription.connection.send({ identifier: subscription.identifier, message: data });
+      return 1;
+    }
+    
+    // Make sure the subscription has callbacks
+    if (!subscription.callbacks || !Array.isArray(subscription.callbacks.received)) {
+      this.logger.warn('Subscription has no received callbacks', { identifier: subscription.identifier });
+      return 0;
+    }
+    
+    // Call each callback with the message data
+    let handledCount = 0;
+    subscription.callbacks.received.forEach(callback => {
+      try {
+        // Use .call to set the "this" context to the subscription
+        callback.call(subscription, data);
+        handledCount++;
+      } catch (error) {
+        this.logger.error('Error in received callback', { identifier: subscription.identifier, data, error });
+        this._violate('callbackErrors', `received callback threw: ${error.message}`, { identifier: subscription.identifier, data, error });
+      }
+    });
+    return handledCount;
   }
 
   // Simulate disconnection
-  disconnect() {
+  /**
+   * Disconnect in-process subscriptions
+   * Their disconnected callbacks receive { willAttemptReconnect, reason } like Rails consumers
+   * 
+   * @param {object} details - { reason, reconnect } when the server ended the connection
+   */
+  disconnect(details = {}) {
+    const { reason = null, reconnect = true } = details;
     this.connected = false;
-    console.log(`[ActionCableMock ${this.server_id}] Disconnecting...`);
+    this.logger.info('Disconnecting');
     
     // Call disconnected callbacks for all subscriptions
     if (this._subscriptionsList && Array.isArray(this._subscriptionsList)) {
@@ -233,42 +1283,86 @@ export class ActionCableMock {
         if (subscription && subscription.callbacks && Array.isArray(subscription.callbacks.disconnected)) {
           subscription.callbacks.disconnected.forEach(callback => {
             try {
-              callback.call(subscription);
+              callback.call(subscription, { willAttemptReconnect: reconnect, reason });
             } catch (error) {
-              console.error(`[ActionCableMock ${this.server_id}] Error in disconnect callback:`, error);
+              this.logger.error('Error in disconnect callback', { identifier: subscription.identifier, error });
+              this._violate('callbackErrors', `disconnected callback threw: ${error.message}`, { identifier: subscription.identifier, error });
             }
           });
         }
       });
     }
     
+    this._record('system', { event: 'disconnect', data: reason ? { reason, reconnect } : null });
+    
     // Emit event for testing
-    const event = new CustomEvent('actioncable:disconnected');
+    const event = new CustomEvent('actioncable:disconnected', { detail: { reason, reconnect } });
     document.dispatchEvent(event);
     
     return true;
   }
 
+  /**
+   * End every connection from the server side, like ActionCable::Connection::Base#close
+   * Wire clients receive { type: 'disconnect', reason, reconnect } and their socket is closed;
+   * Rails clients reconnect only when reconnect is true. In-process subscriptions get their
+   * disconnected callbacks called with the reason; with reconnect they connect again on the
+   * next turn of the event loop, otherwise they stay disconnected until connect()
+   * 
+   * @param {object} options - { reason, reconnect }
+   * @param {string} options.reason - 'unauthorized', 'invalid_request', 'server_restart' or 'remote' (default: 'server_restart')
+   * @param {boolean} options.reconnect - Whether clients may reconnect (default: true)
+   * @returns {boolean} - Always true
+   */
+  serverDisconnect({ reason = 'server_restart', reconnect = true } = {}) {
+    if (!DISCONNECT_REASONS.includes(reason)) {
+      throw new Error(`Unknown disconnect reason '${reason}'. Use one of: ${DISCONNECT_REASONS.join(', ')}`);
+    }
+    
+    this.logger.info(`Server disconnect: ${reason}, reconnect: ${reconnect}`);
+    
+    this.getConnections().forEach(connection => {
+      this._record('system', { event: 'disconnect', connection, data: { reason, reconnect } });
+      this.closeConnection(connection, { willReconnect: reconnect });
+      // The socket closes once the frame has arrived
+      connection.send({ type: 'disconnect', reason, reconnect }, { close: true });
+    });
+    
+    if (reconnect) {
+      // Unless something else reconnected or took the network down meanwhile
+      this.schedule(() => {
+        if (!this.connected && !this.offline) {
+          this.connect();
+        }
+      }, 0);
+    }
+    return this.disconnect({ reason, reconnect });
+  }
+
   // Simulate reconnection
   connect() {
     this.connected = true;
-    console.log(`[ActionCableMock ${this.server_id}] Connecting...`);
+    this.logger.info('Connecting');
     
-    // Call connected callbacks for all subscriptions
+    // Call connected callbacks for all confirmed subscriptions
     if (this._subscriptionsList && Array.isArray(this._subscriptionsList)) {
       this._subscriptionsList.forEach(subscription => {
-        if (subscription && subscription.callbacks && Array.isArray(subscription.callbacks.connected)) {
+        if (subscription && subscription.state === 'confirmed' &&
+            subscription.callbacks && Array.isArray(subscription.callbacks.connected)) {
           subscription.callbacks.connected.forEach(callback => {
             try {
               callback.call(subscription);
             } catch (error) {
-              console.error(`[ActionCableMock ${this.server_id}] Error in connect callback:`, error);
+              this.logger.error('Error in connect callback', { identifier: subscription.identifier, error });
+              this._violate('callbackErrors', `connected callback threw: ${error.message}`, { identifier: subscription.identifier, error });
             }
           });
         }
       });
     }
     
+    this._record('system', { event: 'connect' });
+    
     // Emit event for testing
     const event = new CustomEvent('actioncable:connected');
     document.dispatchEvent(event);
@@ -277,18 +1371,126 @@ export class ActionCableMock {
   }
   
   /**
-   * Simulate temporary connection interruption
+   * Take the network down: wire clients lose their socket without a disconnect
+   * message and can't connect again, in-process subscriptions are disconnected.
+   * Until goOnline(), client actions and server messages follow the offline policies
+   * 
+   * @returns {boolean} - Whether the network was up
+   */
+  goOffline() {
+    if (this.offline) {
+      return false;
+    }
+    
+    this.logger.info('Network offline');
+    this.offline = true;
+    this._record('system', { event: 'offline' });
+    
+    this.getConnections().forEach(connection => {
+      this.closeConnection(connection);
+      if (connection.close) {
+        connection.close();
+      }
+    });
+    this.disconnect();
+    return true;
+  }
+
+  /**
+   * Bring the network back: in-process subscriptions reconnect and buffered
+   * client actions go out. Buffered broadcasts are replayed to their subscriptions
+   * (wire clients once they subscribed again) or discarded, see the replay policy
+   * 
+   * @returns {boolean} - Whether the network was down
+   */
+  goOnline() {
+    if (!this.offline) {
+      return false;
+    }
+    
+    this.logger.info('Network online');
+    this.offline = false;
+    this._record('system', { event: 'online' });
+    this.connect();
+    
+    this._offlinePerforms.splice(0).forEach(({ subscription, action, data }) => {
+      if (this._subscriptionsList.includes(subscription)) {
+        subscription.perform(action, data);
+      } else {
+        this._recordLost('up', { identifier: subscription.identifier, action, data: { action, ...data } }, 'unsubscribed');
+      }
+    });
+    
+    if (this.options.offline.replay) {
+      this._replayBroadcasts();
+    } else {
+      this._offlineBroadcasts.splice(0).forEach(message => this._recordLost('down', message, 'discarded'));
+    }
+    return true;
+  }
+
+  // Apply the offline perform policy to an in-process client action
+  _performOffline(subscription, action, data) {
+    const policy = this.options.offline.perform;
+    if (policy === 'buffer') {
+      this.logger.info(`Offline, holding back ${action}`, { identifier: subscription.identifier, data });
+      this._offlinePerforms.push({ subscription, action, data });
+      return;
+    }
+    
+    this._recordLost('up', { identifier: subscription.identifier, action, data: { action, ...data } }, 'offline');
+    if (policy === 'error') {
+      throw new Error(`Cannot perform '${action}' on ${subscription.identifier}: the network is offline`);
+    }
+  }
+
+  // Apply the offline broadcasts policy to a server message
+  _receiveOffline(identifier, data) {
+    if (this.options.offline.broadcasts === 'buffer') {
+      this.logger.info('Offline, holding back message', { identifier, data });
+      this._offlineBroadcasts.push({ identifier, data });
+    } else {
+      this._recordLost('down', { identifier, data }, 'offline');
+    }
+    return false;
+  }
+
+  // Deliver buffered broadcasts to confirmed subscriptions; messages nobody
+  // has subscribed to again yet keep waiting
+  _replayBroadcasts() {
+    if (this.offline || !this.options.offline.replay || this._offlineBroadcasts.length === 0) {
+      return;
+    }
+    
+    const waiting = this._offlineBroadcasts;
+    this._offlineBroadcasts = [];
+    waiting.forEach(message => {
+      const subscriptions = this._subscriptionsTo(message.identifier).filter(sub => !isPeer(sub));
+      if (subscriptions.length > 0) {
+        this.logger.info('Replaying buffered message', { identifier: message.identifier, data: message.data });
+        // Peers got it when it was sent
+        this._record('incoming', { identifier: message.identifier, data: message.data });
+        subscriptions.forEach(sub => this._deliver(sub, message.data));
+      } else {
+        this._offlineBroadcasts.push(message);
+      }
+    });
+  }
+  
+  /**
+   * Simulate temporary connection interruption: the network goes offline
+   * and comes back after the duration
    * 
-   * @param {number} duration - How long to stay disconnected (ms)
+   * @param {number} duration - How long to stay disconnected (ms), on the mock's clock
    * @returns {Promise} - Resolves when reconnected
    */
   simulateNetworkInterruption(duration = 3000) {
-    console.log(`[ActionCableMock ${this.server_id}] Simulating network interruption for ${duration}ms`);
-    this.disconnect();
+    this.logger.info(`Simulating network interruption for ${duration}ms`);
+    this.goOffline();
     
     return new Promise(resolve => {
-      setTimeout(() => {
-        this.connect();
+      this.schedule(() => {
+        this.goOnline();
         resolve(true);
       }, duration);
     });
@@ -305,7 +1507,7 @@ export class ActionCableMock {
    */
   sendToChannel(channelName, params = {}, data = {}) {
     if (typeof channelName !== 'string') {
-      console.error(`[ActionCableMock ${this.server_id}] Channel name must be a string`);
+      this.logger.error('Channel name must be a string', { data: channelName });
       return false;
     }
     
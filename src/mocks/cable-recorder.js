@@ -0,0 +1,102 @@
+// Recording of Real Action Cable Sessions
+//
+// RESPONSIBILITIES:
+// 1. Observe the frames a real cable connection exchanges with the Rails server
+// 2. Timestamp them relative to the start of the recording
+// 3. Produce a JSON session that can be saved as a fixture and replayed
+//
+// Session format:
+// {
+//   version: 1,
+//   recordedAt: '2025-06-04T10:00:00.000Z',
+//   urls: ['ws://localhost:3000/cable'],
+//   channels: ['{"channel":"BankIdChannel","session_id":"abc"}'],
+//   duration: 31250,
+//   frames: [{ at: 12, connection: 0, direction: 'down', frame: { type: 'welcome' } }, ...]
+// }
+// direction is 'up' (client to server) or 'down' (server to client), at is in ms.
+// Pings are left out, the mock sends its own.
+//
+
+export const SESSION_VERSION = 1;
+
+// Parse a frame, keeping text that isn't JSON as it is
+const parseFrame = (data) => {
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+};
+
+export class CableRecorder {
+  /**
+   * @param {object} options
+   * @param {string[]} options.urls - Cable URLs being recorded
+   * @param {string} options.name - Fixture file the session is meant for
+   * @param {function} options.now - Current time in ms, defaults to Date.now
+   */
+  constructor(options = {}) {
+    const { urls = [], name = null, now = () => Date.now() } = options;
+
+    this.urls = urls;
+    this.name = name;
+    this._now = now;
+    this._startedAt = now();
+    this.recordedAt = new Date().toISOString();
+    this.frames = [];
+    this._connections = 0;
+  }
+
+  /**
+   * Record everything a socket sends and receives from now on
+   *
+   * @param {WebSocket} socket - Native socket connected to the real server
+   * @returns {number} - Index of the connection within the session
+   */
+  attach(socket) {
+    const connection = this._connections++;
+
+    socket.addEventListener('message', event => this._add(connection, 'down', event.data));
+
+    // @rails/actioncable calls send() on the socket instance
+    const recorder = this;
+    const send = socket.send;
+    socket.send = function (data) {
+      recorder._add(connection, 'up', data);
+      return send.call(this, data);
+    };
+
+    return connection;
+  }
+
+  // Add a frame to the session
+  _add(connection, direction, data) {
+    const frame = parseFrame(data);
+    if (frame && frame.type === 'ping') {
+      return;
+    }
+    this.frames.push({ at: this._now() - this._startedAt, connection, direction, frame });
+  }
+
+  /**
+   * The session recorded so far, ready for cy.writeFile()
+   *
+   * @returns {object} - See the session format above
+   */
+  toSession() {
+    const channels = this.frames
+      .filter(({ direction, frame }) => direction === 'up' && frame && frame.command === 'subscribe')
+      .map(({ frame }) => frame.identifier)
+      .filter((identifier, index, identifiers) => identifiers.indexOf(identifier) === index);
+
+    return {
+      version: SESSION_VERSION,
+      recordedAt: this.recordedAt,
+      urls: this.urls,
+      channels,
+      duration: this._now() - this._startedAt,
+      frames: this.frames.slice()
+    };
+  }
+}
@@ -0,0 +1,217 @@
+// Replay of Recorded Action Cable Sessions
+//
+// RESPONSIBILITIES:
+// 1. Turn a recorded session into one script per recorded subscription
+// 2. Play a script back when the application's matching subscription is confirmed
+// 3. Keep the recorded order: server messages that followed a client action
+//    wait until the application performs that action again
+//
+// The mock itself speaks the protocol (welcome, confirmations, pings), so only
+// channel messages and client actions of the recording are replayed. Delays run
+// on the mock's clock, so cy.clock() and virtual timing apply to them.
+//
+import { SESSION_VERSION } from './cable-recorder';
+import { channelNameOf, sameIdentifier } from './channel-identifier';
+
+/**
+ * Split a recorded session into scripts, one per recorded subscription
+ * Steps: { type: 'incoming', data, delay } for channel messages and
+ * { type: 'outgoing', action, data } for client actions. Delays count from
+ * the confirmation or the previous step
+ *
+ * @param {object} session - Session produced by CableRecorder
+ * @returns {array} - [{ identifier, channel, steps }] in subscription order
+ */
+export const compileSession = (session) => {
+  if (!session || !Array.isArray(session.frames)) {
+    throw new Error('Not a recorded cable session: frames are missing');
+  }
+  if (session.version !== SESSION_VERSION) {
+    throw new Error(`Unsupported cable session version ${session.version}, expected ${SESSION_VERSION}`);
+  }
+
+  const scripts = [];
+  // Scripts still recording, by connection and identifier
+  const open = {};
+
+  session.frames.forEach(({ at, connection, direction, frame }) => {
+    if (!frame || typeof frame !== 'object' || !frame.identifier) {
+      return;
+    }
+
+    const key = `${connection} ${frame.identifier}`;
+    const script = open[key];
+
+    if (direction === 'up') {
+      if (frame.command === 'subscribe') {
+        open[key] = { identifier: frame.identifier, channel: channelNameOf(frame.identifier), steps: [], lastAt: at };
+        scripts.push(open[key]);
+      } else if (frame.command === 'unsubscribe') {
+        delete open[key];
+      } else if (frame.command === 'message' && script) {
+        const data = JSON.parse(frame.data);
+        script.steps.push({ type: 'outgoing', action: data.action, data });
+        script.lastAt = at;
+      }
+      return;
+    }
+
+    if (!script) {
+      return;
+    }
+    if (frame.type === 'confirm_subscription') {
+      script.lastAt = at;
+    } else if (frame.type === 'reject_subscription') {
+      delete open[key];
+    } else if (frame.message !== undefined) {
+      script.steps.push({ type: 'incoming', data: frame.message, delay: at - script.lastAt });
+      script.lastAt = at;
+    }
+  });
+
+  return scripts.map(({ identifier, channel, steps }) => ({ identifier, channel, steps }));
+};
+
+export class CableReplayer {
+  /**
+   * @param {ActionCableMock} mock - Mock serving the application
+   * @param {object} session - Session produced by CableRecorder
+   * @param {object} options
+   * @param {string|number} options.pace - 'original' (default) keeps the recorded delays,
+   *   'compressed' drops them, a number speeds them up by that factor
+   */
+  constructor(mock, session, options = {}) {
+    const { pace = 'original' } = options;
+    if (pace !== 'original' && pace !== 'compressed' && !(typeof pace === 'number' && pace > 0)) {
+      throw new Error(`Unknown replay pace '${pace}'. Use 'original', 'compressed' or a speed-up factor`);
+    }
+
+    this.mock = mock;
+    this.pace = pace;
+    this.scripts = compileSession(session).map(script => ({ ...script, claimed: false }));
+    this._playbacks = [];
+    this._stopObserving = null;
+  }
+
+  /**
+   * Play scripts back as the application's subscriptions are confirmed
+   */
+  start() {
+    if (!this._stopObserving) {
+      this._stopObserving = this.mock.observe(entry => this._onEntry(entry));
+    }
+    return this;
+  }
+
+  /**
+   * Stop playing: pending messages are not sent
+   */
+  stop() {
+    if (this._stopObserving) {
+      this._stopObserving();
+      this._stopObserving = null;
+    }
+    this._playbacks.forEach(playback => this.mock.cancel(playback.timer));
+  }
+
+  /**
+   * Where each playback stands
+   *
+   * @returns {object} - { done, scripts, playbacks: [{ identifier, step, steps, waitingFor, done }] }
+   */
+  progress() {
+    const playbacks = this._playbacks.map(({ identifier, script, index, waitingFor, done }) => ({
+      identifier,
+      step: index,
+      steps: script.steps.length,
+      waitingFor,
+      done
+    }));
+    return {
+      done: this.scripts.every(script => script.claimed) && playbacks.every(playback => playback.done),
+      scripts: this.scripts.length,
+      playbacks
+    };
+  }
+
+  // Follow the journal: confirmations start playbacks, client actions release them
+  _onEntry(entry) {
+    // The recording is of the application's traffic, peers don't take part
+    if (entry.peer) {
+      return;
+    }
+    if (entry.type === 'system' && entry.event === 'confirm') {
+      this._play(entry.identifier);
+    } else if (entry.type === 'outgoing') {
+      this._playbacks
+        .filter(playback => playback.identifier === entry.identifier && !playback.done)
+        .forEach(playback => {
+          playback.performed.push(entry.action);
+          if (playback.waitingFor) {
+            this._next(playback);
+          }
+        });
+    }
+  }
+
+  // Start the first unclaimed script recorded for this identifier, or else for its channel
+  // Parameters such as session ids usually differ between the recording and the test
+  _play(identifier) {
+    const script = this.scripts.find(candidate => !candidate.claimed && sameIdentifier(candidate.identifier, identifier)) ||
+      this.scripts.find(candidate => !candidate.claimed && candidate.channel === channelNameOf(identifier));
+    if (!script) {
+      return;
+    }
+
+    // A new subscription to the same identifier (after a reload) replaces the old playback
+    this._playbacks
+      .filter(playback => playback.identifier === identifier && !playback.done)
+      .forEach(playback => {
+        this.mock.cancel(playback.timer);
+        playback.done = true;
+      });
+
+    script.claimed = true;
+    const playback = { identifier, script, index: 0, performed: [], waitingFor: null, timer: null, done: false };
+    this._playbacks.push(playback);
+    this._next(playback);
+  }
+
+  // Run the playback's next step
+  _next(playback) {
+    const step = playback.script.steps[playback.index];
+    if (!step) {
+      playback.done = true;
+      return;
+    }
+
+    if (step.type === 'outgoing') {
+      // The application may have performed it already, while an earlier message was underway
+      const position = playback.performed.indexOf(step.action);
+      if (position === -1) {
+        playback.waitingFor = step.action;
+        return;
+      }
+      playback.performed.splice(0, position + 1);
+      playback.waitingFor = null;
+      playback.index++;
+      this._next(playback);
+      return;
+    }
+
+    playback.timer = this.mock.schedule(() => {
+      playback.timer = null;
+      playback.index++;
+      this.mock.simulateReceive(playback.identifier, step.data);
+      this._next(playback);
+    }, this._delay(step.delay));
+  }
+
+  // Recorded delay at the chosen pace
+  _delay(delay) {
+    if (this.pace === 'compressed') {
+      return 0;
+    }
+    return this.pace === 'original' ? delay : Math.round(delay / this.pace);
+  }
+}
@@ -0,0 +1,133 @@
+// Channel Contracts of the Action Cable Mock
+//
+// RESPONSIBILITIES:
+// 1. Keep per-channel contracts: identifier params, allowed actions with a
+//    schema for each action's payload, and a schema for server messages
+// 2. Load contracts exported by the Rails application, so mocks can't drift
+//    from the real channels
+// 3. Describe every way a subscription, client action or server message
+//    breaks its channel's contract
+//
+// Export format (version 1):
+// {
+//   version: 1,
+//   channels: {
+//     ChatChannel: {
+//       params: { JSON Schema of the identifier params },
+//       actions: { speak: { JSON Schema of the payload }, typing: true },
+//       broadcasts: { JSON Schema of messages to subscribers }
+//     }
+//   },
+//   definitions: { schemas the others $ref as '#/definitions/name' }
+// }
+// Every part is optional. Without actions any action is allowed; with them,
+// only the listed ones. Action payloads are checked without their 'action' key.
+// Channels without a contract aren't checked.
+//
+import { validateSchema } from './json-schema';
+
+export const CONTRACTS_VERSION = 1;
+
+export class ChannelContracts {
+  constructor() {
+    // Contracts by channel name: { contract, root } where root is the document $refs resolve against
+    this._contracts = {};
+  }
+
+  /**
+   * Declare a channel's contract
+   *
+   * @param {string} channelName - Channel class name, e.g. 'ChatChannel'
+   * @param {object} contract - { params, actions, broadcasts }, see above
+   * @param {object} root - Document local $refs resolve against (default: the contract)
+   */
+  define(channelName, contract, root = contract) {
+    if (!contract || typeof contract !== 'object') {
+      throw new Error(`Contract of ${channelName} must be an object: { params, actions, broadcasts }`);
+    }
+    if (contract.actions !== undefined && (typeof contract.actions !== 'object' || Array.isArray(contract.actions))) {
+      throw new Error(`Actions in the contract of ${channelName} must map action names to payload schemas`);
+    }
+    this._contracts[channelName] = { contract, root };
+  }
+
+  /**
+   * Declare the contracts of an export, or of a plain { ChannelName: contract } map
+   *
+   * @param {object} exported - See the export format above
+   */
+  load(exported) {
+    if (!exported || typeof exported !== 'object') {
+      throw new Error('Contracts must be an object: { version, channels, definitions }');
+    }
+    if (exported.version !== undefined && exported.version !== CONTRACTS_VERSION) {
+      throw new Error(`Unsupported contracts version ${exported.version}, expected ${CONTRACTS_VERSION}`);
+    }
+
+    const channels = exported.channels || exported;
+    Object.keys(channels).forEach(channelName => {
+      this.define(channelName, channels[channelName], exported.channels ? exported : channels[channelName]);
+    });
+  }
+
+  /**
+   * Whether a channel has a contract
+   *
+   * @param {string} channelName - Channel class name
+   */
+  has(channelName) {
+    return !!this._contracts[channelName];
+  }
+
+  /**
+   * How a subscription's identifier params break the channel's contract
+   *
+   * @param {object} identifier - Parsed identifier: { channel, ...params }
+   * @returns {string[]} - Problems, empty when there are none
+   */
+  checkParams(identifier) {
+    const { channel, ...params } = identifier;
+    const entry = this._contracts[channel];
+    if (!entry || entry.contract.params === undefined) {
+      return [];
+    }
+    return validateSchema(entry.contract.params, params, entry.root, `${channel} params`);
+  }
+
+  /**
+   * How a client action breaks the channel's contract
+   *
+   * @param {string} channelName - Channel class name
+   * @param {string} action - Action name
+   * @param {object} data - Payload, without the action key
+   * @returns {string[]} - Problems, empty when there are none
+   */
+  checkAction(channelName, action, data) {
+    const entry = this._contracts[channelName];
+    if (!entry || entry.contract.actions === undefined) {
+      return [];
+    }
+
+    const { actions } = entry.contract;
+    if (!Object.prototype.hasOwnProperty.call(actions, action)) {
+      const allowed = Object.keys(actions);
+      return [`${channelName} has no action '${action}' (actions: ${allowed.length > 0 ? allowed.join(', ') : 'none'})`];
+    }
+    return validateSchema(actions[action], data, entry.root, `${channelName}#${action}`);
+  }
+
+  /**
+   * How a server message breaks the channel's contract
+   *
+   * @param {string} channelName - Channel class name
+   * @param {*} data - Message data
+   * @returns {string[]} - Problems, empty when there are none
+   */
+  checkBroadcast(channelName, data) {
+    const entry = this._contracts[channelName];
+    if (!entry || entry.contract.broadcasts === undefined) {
+      return [];
+    }
+    return validateSchema(entry.contract.broadcasts, data, entry.root, `${channelName} broadcast`);
+  }
+}
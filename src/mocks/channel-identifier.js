@@ -0,0 +1,162 @@
+// Channel Identifiers of the Action Cable Mock
+//
+// RESPONSIBILITIES:
+// 1. Parse identifier strings and objects into one shape: { channel, ...params }
+// 2. Canonical form for comparisons: key order and number vs string ids don't matter
+// 3. Flexible subscription lookup: by identifier, channel name, partial params or predicate
+//
+// Subscriptions keep the identifier string their client sent, byte for byte:
+// Rails clients find their subscriptions by it. Canonical forms are only ever
+// used to compare.
+//
+
+/**
+ * Identifier as a string: strings pass through, objects are serialized
+ *
+ * @param {string|object} channelIdentifier - Identifier string or { channel, ...params }
+ * @returns {string}
+ */
+export const toIdentifierString = (channelIdentifier) => {
+  return typeof channelIdentifier === 'string' ? channelIdentifier : JSON.stringify(channelIdentifier);
+};
+
+/**
+ * Identifier object from an identifier such as '{"channel":"ChatChannel","room":"general"}'
+ * Plain channel names become { channel: name }
+ *
+ * @param {string|object} channelIdentifier - Identifier string or object
+ * @returns {object} - { channel, ...params }
+ */
+export const parseIdentifier = (channelIdentifier) => {
+  if (channelIdentifier && typeof channelIdentifier === 'object') {
+    return channelIdentifier;
+  }
+  try {
+    const parsed = JSON.parse(channelIdentifier);
+    if (parsed && typeof parsed === 'object') {
+      return parsed;
+    }
+  } catch (error) {
+    // Not JSON, a plain channel name
+  }
+  return { channel: channelIdentifier };
+};
+
+/**
+ * Channel name of an identifier, null without one
+ *
+ * @param {string|object} channelIdentifier - Identifier string or object
+ * @returns {string|null}
+ */
+export const channelNameOf = (channelIdentifier) => {
+  if (!channelIdentifier) {
+    return null;
+  }
+  return parseIdentifier(channelIdentifier).channel || toIdentifierString(channelIdentifier);
+};
+
+// Value with sorted keys and scalars as strings, so 42 and '42' compare equal
+const canonicalValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(canonicalValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((canonical, key) => {
+      canonical[key] = canonicalValue(value[key]);
+      return canonical;
+    }, {});
+  }
+  return value === null || value === undefined ? null : String(value);
+};
+
+/**
+ * Canonical form of an identifier, for comparisons only
+ *
+ * @param {string|object} channelIdentifier - Identifier string or object
+ * @returns {string}
+ */
+export const canonicalIdentifier = (channelIdentifier) => {
+  return JSON.stringify(canonicalValue(parseIdentifier(channelIdentifier)));
+};
+
+/**
+ * Whether two identifiers address the same subscription, whatever their key order and id types
+ *
+ * @param {string|object} a - Identifier string or object
+ * @param {string|object} b - Identifier string or object
+ * @returns {boolean}
+ */
+export const sameIdentifier = (a, b) => canonicalIdentifier(a) === canonicalIdentifier(b);
+
+// Whether every expected param is in the actual ones, comparing canonically and at any depth
+const containsParams = (actual, expected) => {
+  return Object.keys(expected).every(key => {
+    const value = expected[key];
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return !!actual[key] && typeof actual[key] === 'object' && containsParams(actual[key], value);
+    }
+    return JSON.stringify(canonicalValue(actual[key])) === JSON.stringify(canonicalValue(value));
+  });
+};
+
+/**
+ * Whether an identifier belongs to a channel and contains the given params
+ *
+ * @param {string|object} channelIdentifier - Identifier string or object
+ * @param {string} channelName - Channel name
+ * @param {object} params - Params the identifier must contain (default: none)
+ * @returns {boolean}
+ */
+export const identifierIncludes = (channelIdentifier, channelName, params = {}) => {
+  const { channel, ...actual } = parseIdentifier(channelIdentifier);
+  return channel === channelName && containsParams(actual, params || {});
+};
+
+/**
+ * Subscriptions a lookup addresses
+ * - a predicate receives the identifier object and the subscription
+ * - an identifier (string or object) matches canonically; when nothing does, it
+ *   matches the subscriptions of its channel that contain its params, so a plain
+ *   channel name or partial params find the subscription too
+ *
+ * @param {array} subscriptions - Subscriptions to search
+ * @param {string|object|function} query - Identifier, channel name or predicate
+ * @returns {array} - Matching subscriptions, in their original order
+ */
+export const findSubscriptions = (subscriptions, query) => {
+  if (typeof query === 'function') {
+    return subscriptions.filter(subscription => query(parseIdentifier(subscription.identifier), subscription));
+  }
+
+  const exact = subscriptions.filter(subscription => sameIdentifier(subscription.identifier, query));
+  if (exact.length > 0) {
+    return exact;
+  }
+
+  const { channel, ...params } = parseIdentifier(query);
+  return subscriptions.filter(subscription => identifierIncludes(subscription.identifier, channel, params));
+};
+
+/**
+ * Readable description of a lookup, for messages
+ *
+ * @param {string|object|function} query - Identifier, channel name or predicate
+ * @returns {string}
+ */
+export const describeQuery = (query) => {
+  return typeof query === 'function' ? `predicate ${query.name || '(anonymous)'}` : toIdentifierString(query);
+};
+
+/**
+ * Error for a lookup that found nothing, listing the identifiers there are
+ *
+ * @param {string} what - What was looked for, e.g. 'No subscription'
+ * @param {string|object|function} query - Identifier, channel name or predicate
+ * @param {array} subscriptions - Subscriptions that exist
+ * @returns {Error}
+ */
+export const noMatchError = (what, query, subscriptions) => {
+  const active = subscriptions.length === 0 ? '  (none)' :
+    subscriptions.map(subscription => `  - ${subscription.identifier} (${subscription.state}${subscription.connection && subscription.connection.peer ? `, peer ${subscription.connection.peer}` : ''})`).join('\n');
+  return new Error(`${what} matches ${describeQuery(query)}. Subscriptions:\n${active}`);
+};
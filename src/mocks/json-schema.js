@@ -0,0 +1,170 @@
+// JSON Schema Validation for Channel Contracts
+//
+// RESPONSIBILITIES:
+// 1. Check a value against a JSON Schema and describe every mismatch by path
+// 2. Cover the keywords payload contracts need, without a dependency:
+//    type, enum, const, properties, required, additionalProperties, items,
+//    minItems, maxItems, minLength, maxLength, pattern, minimum, maximum,
+//    exclusiveMinimum, exclusiveMaximum, allOf, anyOf, oneOf, not and local $ref
+//
+// Other keywords (format, patternProperties, ...) are ignored, like validators
+// ignore unknown keywords. true accepts anything, false nothing.
+//
+
+// JSON type of a value: 'null', 'array', 'object', 'string', 'number' or 'boolean'
+const typeOf = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+};
+
+const matchesType = (type, value) => {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  return typeOf(value) === type;
+};
+
+// Structural equality of JSON values, key order aside
+const isEqual = (a, b) => {
+  if (typeOf(a) !== typeOf(b)) {
+    return false;
+  }
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  if (a && typeof a === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+  }
+  return a === b;
+};
+
+// Schema a local reference such as '#/definitions/message' points to, undefined when it doesn't resolve
+const resolveRef = (root, ref) => {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) {
+    return undefined;
+  }
+  return ref.slice(1).split('/').filter(Boolean)
+    .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), root);
+};
+
+/**
+ * Check a value against a JSON Schema
+ *
+ * @param {object|boolean} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {object} root - Document local $refs resolve against (default: the schema)
+ * @param {string} path - Where the value is, for messages (default: '$')
+ * @returns {string[]} - Mismatches, e.g. '$.message: expected string, got number'; empty when valid
+ */
+export const validateSchema = (schema, value, root = schema, path = '$') => {
+  if (schema === true || schema === undefined || schema === null) {
+    return [];
+  }
+  if (schema === false) {
+    return [`${path}: not allowed`];
+  }
+  if (schema.$ref !== undefined) {
+    const target = resolveRef(root, schema.$ref);
+    return target === undefined
+      ? [`${path}: cannot resolve $ref ${schema.$ref}`]
+      : validateSchema(target, value, root, path);
+  }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(type, value))) {
+      // Other keywords would only repeat the mismatch
+      return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+    errors.push(`${path}: expected one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if ('const' in schema && !isEqual(schema.const, value)) {
+    errors.push(`${path}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: shorter than ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: longer than ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path}: does not match /${schema.pattern}/`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: less than ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: greater than ${schema.maximum}`);
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: not greater than ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      errors.push(`${path}: not less than ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: fewer than ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: more than ${schema.maxItems} items`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, root, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${path}: missing required property '${key}'`);
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (key in properties) {
+        errors.push(...validateSchema(properties[key], value[key], root, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property '${key}'`);
+      } else if (schema.additionalProperties !== undefined) {
+        errors.push(...validateSchema(schema.additionalProperties, value[key], root, `${path}.${key}`));
+      }
+    });
+  }
+
+  (schema.allOf || []).forEach(part => {
+    errors.push(...validateSchema(part, value, root, path));
+  });
+  if (schema.anyOf && !schema.anyOf.some(part => validateSchema(part, value, root, path).length === 0)) {
+    errors.push(`${path}: matches none of anyOf`);
+  }
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter(part => validateSchema(part, value, root, path).length === 0).length;
+    if (matching !== 1) {
+      errors.push(`${path}: matches ${matching} of oneOf, expected exactly 1`);
+    }
+  }
+  if (schema.not !== undefined && validateSchema(schema.not, value, root, path).length === 0) {
+    errors.push(`${path}: matches the schema in not`);
+  }
+
+  return errors;
+};
@@ -0,0 +1,186 @@
+// Clock for Every Mock Delay
+//
+// RESPONSIBILITIES:
+// 1. One scheduler for welcome delays, pings, network shaping and interruptions
+// 2. 'app' timing: follow the application's timers, so cy.clock() and cy.tick() drive the mock
+// 3. 'virtual' timing: delays only pass when the test advances the clock, without waiting
+//
+// Zero delays don't wait for either clock: they run on the next turn of the
+// spec window's event loop, so a handshake completes even while cy.clock()
+// has frozen the application's timers.
+//
+
+export const TIMING_MODES = ['app', 'virtual'];
+
+// Real milliseconds advanceAsync() gives the application between timers.
+// mock-socket hands client frames to the server 4ms after send()
+const SETTLE_MS = 5;
+
+export class MockClock {
+  /**
+   * @param {object} options
+   * @param {string} options.timing - 'app' (default) or 'virtual'
+   * @param {Window} options.timers - Window providing setTimeout, clearTimeout and Date in 'app' timing
+   * @param {function} options.onError - Receives errors thrown by virtual and zero-delay timer callbacks (default: console.error)
+   */
+  constructor(options = {}) {
+    const {
+      timing = 'app',
+      timers = typeof window !== 'undefined' ? window : globalThis,
+      onError = error => console.error('[MockClock] Error in timer callback:', error)
+    } = options;
+
+    if (!TIMING_MODES.includes(timing)) {
+      throw new Error(`Unknown timing '${timing}'. Use one of: ${TIMING_MODES.join(', ')}`);
+    }
+
+    this.timing = timing;
+    this._timers = timers;
+    this._onError = onError;
+
+    // Virtual time: milliseconds advanced since creation, on top of the real start time
+    this._epoch = Date.now();
+    this._elapsed = 0;
+
+    // Virtual timers ordered by due time, then by creation
+    this._queue = [];
+  }
+
+  /**
+   * Follow another window's timers in 'app' timing
+   *
+   * @param {Window} win - Window providing setTimeout, clearTimeout and Date
+   */
+  useTimers(win) {
+    this._timers = win;
+  }
+
+  /**
+   * Whether cy.clock() has replaced the application's timers
+   * @sinonjs/fake-timers marks the functions it installs with their clock
+   */
+  isFaked() {
+    return this.timing === 'app' && !!(this._timers.setTimeout && this._timers.setTimeout.clock);
+  }
+
+  /**
+   * Run a callback once a delay passed on this clock
+   * Timer functions are looked up on each call, cy.clock() may replace them at any time
+   *
+   * @param {function} callback - Called once the delay passed
+   * @param {number} delay - Milliseconds
+   * @returns {object} - Handle for clearTimeout()
+   */
+  setTimeout(callback, delay = 0) {
+    if (!(delay > 0)) {
+      return { type: 'immediate', id: setTimeout(() => this._run(callback), 0) };
+    }
+
+    if (this.timing === 'virtual') {
+      const timer = { type: 'virtual', at: this._elapsed + delay, callback };
+      const index = this._queue.findIndex(other => other.at > timer.at);
+      this._queue.splice(index === -1 ? this._queue.length : index, 0, timer);
+      return timer;
+    }
+
+    const timers = this._timers;
+    return { type: 'app', id: timers.setTimeout(callback, delay), timers };
+  }
+
+  /**
+   * Cancel a callback registered with setTimeout()
+   *
+   * @param {object} handle - Handle returned by setTimeout()
+   */
+  clearTimeout(handle) {
+    if (!handle) {
+      return;
+    }
+    if (handle.type === 'virtual') {
+      this._queue = this._queue.filter(timer => timer !== handle);
+    } else if (handle.type === 'app') {
+      handle.timers.clearTimeout(handle.id);
+    } else {
+      clearTimeout(handle.id);
+    }
+  }
+
+  /**
+   * Current time in milliseconds
+   */
+  now() {
+    if (this.timing === 'virtual') {
+      return this._epoch + this._elapsed;
+    }
+    return this._timers.Date.now();
+  }
+
+  /**
+   * Move virtual time forward, running every timer that falls due on the way
+   * in order. Timers scheduled by those callbacks run too when they fall in the window
+   *
+   * @param {number} ms - Milliseconds to advance
+   * @returns {number} - Number of timers that ran
+   */
+  advance(ms) {
+    if (this.timing !== 'virtual') {
+      throw new Error("advance() needs timing: 'virtual'. With application timers, use cy.clock() and cy.tick()");
+    }
+
+    const target = this._elapsed + Math.max(0, ms);
+    let ran = 0;
+    while (this._queue.length > 0 && this._queue[0].at <= target) {
+      const timer = this._queue.shift();
+      this._elapsed = timer.at;
+      ran++;
+      this._run(timer.callback);
+    }
+    this._elapsed = target;
+    return ran;
+  }
+
+  /**
+   * Like advance(), but gives the application a moment after every timer, so the
+   * application can answer a frame before later timers run. A welcome, the
+   * subscribe it triggers and the confirmation then all cross a slow link
+   * within one call
+   *
+   * @param {number} ms - Milliseconds to advance
+   * @returns {Promise<number>} - Resolves with the number of timers that ran
+   */
+  advanceAsync(ms) {
+    if (this.timing !== 'virtual') {
+      throw new Error("advanceAsync() needs timing: 'virtual'. With application timers, use cy.clock() and cy.tick()");
+    }
+
+    const target = this._elapsed + Math.max(0, ms);
+    let ran = 0;
+
+    const step = () => {
+      if (this._queue.length === 0 || this._queue[0].at > target) {
+        this.advance(target - this._elapsed);
+        return Promise.resolve(ran);
+      }
+      ran += this.advance(this._queue[0].at - this._elapsed);
+      return new Promise(resolve => setTimeout(resolve, SETTLE_MS)).then(step);
+    };
+
+    return new Promise(resolve => setTimeout(resolve, SETTLE_MS)).then(step);
+  }
+
+  // Run a timer callback; its errors go to onError instead of breaking the loop that ran it
+  _run(callback) {
+    try {
+      callback();
+    } catch (error) {
+      this._onError(error);
+    }
+  }
+
+  /**
+   * Virtual timers waiting for the clock to advance
+   */
+  pending() {
+    return this._queue.length;
+  }
+}
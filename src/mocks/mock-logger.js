@@ -0,0 +1,141 @@
+// Logging of the Action Cable Mock
+//
+// RESPONSIBILITIES:
+// 1. Levelled output: 'silent', 'error' (default), 'info' and 'debug'
+// 2. Per-channel filters, so a large suite can follow the one channel it debugs
+// 3. Route entries to the browser console or to the Cypress command log
+//
+// Every entry is structured: a message plus the channel, identifier,
+// connection, frame and data it concerns. Warnings are shown from the
+// 'error' level on, errors are never filtered by channel.
+//
+import { channelNameOf } from './channel-identifier';
+
+export const LOG_LEVELS = ['silent', 'error', 'info', 'debug'];
+
+// Console method per entry level
+const CONSOLE_METHODS = { error: 'error', warn: 'warn', info: 'log', debug: 'log' };
+
+// Level an entry needs the logger to be at to be shown
+const THRESHOLDS = { error: 'error', warn: 'error', info: 'info', debug: 'debug' };
+
+/**
+ * Turn a logging option into logger settings
+ * true logs everything ('debug'), false nothing, a string is a level
+ *
+ * @param {boolean|string|object} logging - Option value, or { level, channels, commandLog }
+ * @returns {object} - The settings given, undefined ones left out
+ */
+export const normalizeLogging = (logging) => {
+  if (logging === undefined || logging === null) {
+    return {};
+  }
+  if (typeof logging === 'boolean') {
+    return { level: logging ? 'debug' : 'silent' };
+  }
+  if (typeof logging === 'string') {
+    return { level: logging };
+  }
+  return Object.fromEntries(Object.entries(logging).filter(([, value]) => value !== undefined));
+};
+
+export class MockLogger {
+  /**
+   * @param {object} options
+   * @param {string} options.level - 'silent', 'error' (default), 'info' or 'debug'
+   * @param {string[]} options.channels - Only log entries about these channels (default: all)
+   * @param {boolean} options.commandLog - Show entries in the Cypress command log instead of the console
+   * @param {string} options.prefix - Put before every console message
+   */
+  constructor(options = {}) {
+    const { level = 'error', channels = null, commandLog = false, prefix = '' } = options;
+
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Unknown log level '${level}'. Use one of: ${LOG_LEVELS.join(', ')}`);
+    }
+
+    this.level = level;
+    this.channels = channels ? [].concat(channels) : null;
+    this.commandLog = commandLog;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Whether an entry of this level about this channel would be shown
+   *
+   * @param {string} level - 'error', 'warn', 'info' or 'debug'
+   * @param {string} channel - Channel name, if the entry concerns one
+   */
+  enabled(level, channel = null) {
+    if (LOG_LEVELS.indexOf(this.level) < LOG_LEVELS.indexOf(THRESHOLDS[level])) {
+      return false;
+    }
+    return level === 'error' || !this.channels || !channel || this.channels.includes(channel);
+  }
+
+  /**
+   * Log an entry
+   *
+   * @param {string} level - 'error', 'warn', 'info' or 'debug'
+   * @param {string} message - What happened
+   * @param {object} details - { channel, identifier, connectionId, frame, data, error }, all optional.
+   *   The channel defaults to the one in the identifier
+   */
+  log(level, message, details = {}) {
+    const entry = { level, message, ...details };
+    entry.channel = entry.channel || channelNameOf(entry.identifier);
+
+    if (!this.enabled(level, entry.channel)) {
+      return;
+    }
+    if (this.commandLog && this._toCommandLog(entry)) {
+      return;
+    }
+
+    const extras = Object.keys(details).length > 0 ? [details] : [];
+    console[CONSOLE_METHODS[level]](`${this.prefix} ${message}`.trim(), ...extras);
+  }
+
+  error(message, details) {
+    this.log('error', message, details);
+  }
+
+  warn(message, details) {
+    this.log('warn', message, details);
+  }
+
+  info(message, details) {
+    this.log('info', message, details);
+  }
+
+  debug(message, details) {
+    this.log('debug', message, details);
+  }
+
+  // Add the entry to the command log, with its details in the console props.
+  // Returns false outside a running test, the console gets the entry then
+  _toCommandLog(entry) {
+    if (typeof Cypress === 'undefined') {
+      return false;
+    }
+    try {
+      const log = Cypress.log({
+        name: 'action cable',
+        message: entry.channel ? `${entry.channel}: ${entry.message}` : entry.message,
+        consoleProps: () => ({
+          Level: entry.level,
+          Channel: entry.channel,
+          Identifier: entry.identifier,
+          Connection: entry.connectionId,
+          Frame: entry.frame,
+          Data: entry.data,
+          Error: entry.error
+        })
+      });
+      log.snapshot().end();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
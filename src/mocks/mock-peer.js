@@ -0,0 +1,135 @@
+// Virtual Peer Clients of the Action Cable Mock
+//
+// RESPONSIBILITIES:
+// 1. Stand in for other users connected to the same cable ("alice", "bob")
+// 2. Subscribe, perform and unsubscribe through the same protocol path as
+//    wire clients, so channel handlers, confirmations and broadcasts treat
+//    peers exactly like the application's own consumer
+// 3. Keep what each peer received, for assertions on fan-out
+//
+// Peers live on a network of their own: they have no socket, get no pings,
+// survive page loads of the application and stay online while the
+// application is offline. Journal entries they cause carry their name in `peer`.
+//
+import { toIdentifierString, channelNameOf, sameIdentifier } from './channel-identifier';
+
+export class MockPeer {
+  /**
+   * @param {ActionCableMock} mock - Mock the peer talks to
+   * @param {string} name - Name of the peer, e.g. 'alice'
+   */
+  constructor(mock, name) {
+    this.mock = mock;
+    this.name = name;
+
+    // Connection handle in the shape of a wire client's, see ActionCableMock#openConnection
+    this.connection = {
+      id: `peer-${name}`,
+      peer: name,
+      url: null,
+      params: {},
+      pings: 0,
+      pingTimer: null,
+      close: null,
+      send: frame => this._receive(frame)
+    };
+
+    // Identifier that perform() and unsubscribe() address
+    this.current = null;
+
+    // Server messages the peer received: [{ identifier, channel, data, timestamp }]
+    this._messages = [];
+  }
+
+  /**
+   * Subscribe to a channel, like consumer.subscriptions.create
+   * Confirmation follows the mock's autoConfirm policy. Later perform() and
+   * unsubscribe() calls address this subscription
+   *
+   * @param {string|object} channelIdentifier - Channel identifier
+   * @returns {MockPeer} - The peer, for chaining
+   */
+  subscribe(channelIdentifier) {
+    const identifier = toIdentifierString(channelIdentifier);
+
+    const existing = this.getSubscription(identifier);
+    if (!existing) {
+      this.mock.receiveCommand(this.connection, { command: 'subscribe', identifier });
+    }
+    // The server knows the subscription by the identifier it was created with
+    this.current = existing ? existing.identifier : identifier;
+    return this;
+  }
+
+  /**
+   * Perform an action on the current subscription, like subscription.perform
+   * Registered channel handlers run right away
+   *
+   * @param {string} action - Action name, e.g. 'content_changed'
+   * @param {object} data - Action data
+   * @returns {MockPeer} - The peer, for chaining
+   */
+  perform(action, data = {}) {
+    const identifier = this._requireSubscription('perform');
+    this.mock.receiveCommand(this.connection, {
+      command: 'message',
+      identifier,
+      data: JSON.stringify({ action, ...data })
+    });
+    return this;
+  }
+
+  /**
+   * Unsubscribe from the current subscription
+   *
+   * @returns {MockPeer} - The peer, for chaining
+   */
+  unsubscribe() {
+    const identifier = this._requireSubscription('unsubscribe');
+    this.mock.receiveCommand(this.connection, { command: 'unsubscribe', identifier });
+    this.current = null;
+    return this;
+  }
+
+  /**
+   * The peer's subscription with this identifier, undefined when there is none
+   * Identifiers match whatever their key order and id types
+   *
+   * @param {string|object} channelIdentifier - Channel identifier (default: the current one)
+   */
+  getSubscription(channelIdentifier = this.current) {
+    return this.mock.getSubscriptions().find(sub => sub.connection === this.connection && sameIdentifier(sub.identifier, channelIdentifier));
+  }
+
+  /**
+   * Server messages the peer received, oldest first
+   *
+   * @param {string} channelName - Only messages of this channel (default: all)
+   * @returns {array} - [{ identifier, channel, data, timestamp }]
+   */
+  getMessages(channelName) {
+    return this._messages.filter(message => !channelName || message.channel === channelName);
+  }
+
+  // The current identifier, when the server still knows the subscription
+  _requireSubscription(command) {
+    if (!this.current || !this.getSubscription()) {
+      throw new Error(`Peer ${this.name} cannot ${command}: ${this.current ? `not subscribed to ${this.current}` : 'subscribe to a channel first'}`);
+    }
+    return this.current;
+  }
+
+  // Frames the mock sends to the peer; the protocol ones only update subscription state
+  _receive(frame) {
+    if (frame.message === undefined) {
+      return;
+    }
+
+    this._messages.push({
+      identifier: frame.identifier,
+      channel: channelNameOf(frame.identifier),
+      data: frame.message,
+      timestamp: new Date(this.mock.now()).toISOString()
+    });
+  }
+}
@@ -12,99 +12,289 @@
 //
 import { Server } from 'mock-socket';
 import { ActionCableMock } from './action-cable-mock';
+import { installWebSocketInterceptor, restoreWebSocket, isSameCableUrl } from './websocket-interceptor';
+import { NetworkShaper } from './network-conditions';
+import { CableRecorder } from './cable-recorder';
+import { CableReplayer } from './cable-replayer';
+import { MockLogger, normalizeLogging } from './mock-logger';
 
 // Default WebSocket URL - we'll use this for the mock server
-const DEFAULT_WS_URL = 'ws://localhost:3000/cable';
-const WS_URL = DEFAULT_WS_URL;
+export const DEFAULT_WS_URL = 'ws://localhost:3000/cable';
 
 // Store mock instances for re-use
-let mockServer = null;
+let mockServers = [];
+let mockUrls = [];
 let actionCableMock = null;
 
+// Shapes frames in both directions; 'online' passes them straight through
+let networkShaper = null;
+
+// Windows the mock has been installed into, so teardown can clean them all
+const attachedWindows = new Set();
+
+// Window installed last: its cookies go with new handshakes
+let currentWindow = null;
+
+// Plays a recorded session back through the mock
+let cableReplayer = null;
+
+// Records a real session instead of mocking one
+let cableRecorder = null;
+let recordedUrls = [];
+
+// Transport logging follows the logging option of the mock, or of the recording
+let logger = new MockLogger({ prefix: '[ActionCable transport]' });
+
+// Cookies a browser would send with the WebSocket handshake (non-HttpOnly ones only)
+const readCookies = (win) => {
+  if (!win || !win.document || !win.document.cookie) {
+    return {};
+  }
+  return Object.fromEntries(win.document.cookie.split(/;\s*/).map(pair => {
+    const index = pair.indexOf('=');
+    if (index === -1) {
+      return [pair, ''];
+    }
+    return [decodeURIComponent(pair.slice(0, index)), decodeURIComponent(pair.slice(index + 1))];
+  }));
+};
+
+/**
+ * Turn a cable path such as '/cable' into an absolute WebSocket URL
+ * 
+ * @param {string} url - Absolute ws(s):// URL, http(s):// URL or path
+ * @param {string} base - Origin to resolve paths against, e.g. the Cypress baseUrl
+ * @returns {string} - Absolute ws:// or wss:// URL
+ */
+export const resolveCableUrl = (url, base) => {
+  const resolved = new URL(url, base || DEFAULT_WS_URL);
+  resolved.protocol = resolved.protocol.replace(/^http/, 'ws');
+  return resolved.toString();
+};
+
 // Set up the mock server and ActionCable
-export const setupMockActionCable = () => {
-  // Create a new mock WebSocket server
-  mockServer = new Server(WS_URL);
+// targetWindow is the window the consumer is exposed on (the spec window by default)
+// options.url is one cable URL or an array of them; options.replay ({ session, pace }) plays
+// a recorded session back; the remaining options go to ActionCableMock
+export const setupMockActionCable = (targetWindow = window, options = {}) => {
+  const { url = DEFAULT_WS_URL, network = 'online', replay = null, ...mockOptions } = options;
+  // One server per cable, whatever query strings the URLs carry
+  mockUrls = [].concat(url).filter((mockUrl, index, urls) => 
+    urls.findIndex(other => other.split('?')[0] === mockUrl.split('?')[0]) === index
+  );
   
   // Create a new ActionCable mock with proper initialization
-  actionCableMock = new ActionCableMock();
+  // Sockets keep talking to the mock they connected to, even after a teardown
+  const cable = new ActionCableMock(mockOptions);
+  actionCableMock = cable;
+  logger = cable.logger;
+  
+  logger.debug('Mock ActionCable initialized');
+  
+  setNetworkConditions(network);
   
-  console.log('Mock ActionCable initialized:', actionCableMock);
+  if (replay) {
+    cableReplayer = new CableReplayer(cable, replay.session, { pace: replay.pace }).start();
+    logger.info(`Replaying ${cableReplayer.scripts.length} recorded subscription(s)`);
+  }
   
-  // Handle connections
-  mockServer.on('connection', socket => {
-    console.log('Mock WebSocket connection established');
+  // Create a mock WebSocket server per cable URL. Query strings (auth tokens)
+  // don't take part in routing, the connection records them instead
+  mockServers = mockUrls.map(serverUrl => {
+    // Subprotocols are only visible while negotiating, keep them for the connection handler
+    let offeredProtocols = [];
+    const mockServer = new Server(serverUrl, {
+      selectProtocol: protocols => {
+        offeredProtocols = protocols;
+        return protocols[0] || '';
+      }
+    });
     
-    // Handle messages from the client
-    socket.on('message', data => {
-      try {
-        const message = JSON.parse(data);
-        console.log('Received WebSocket message:', message);
-        
-        // Handle subscription requests
-        if (message.command === 'subscribe') {
-          const identifier = JSON.parse(message.identifier);
-          // Subscribe to the channel
-          actionCableMock.subscribe(identifier);
-          
-          // Send confirmation
-          socket.send(JSON.stringify({
-            type: 'confirm_subscription',
-            identifier: message.identifier
-          }));
-          
-          console.log('Subscription confirmed:', identifier);
+    // Handle connections: the transport only moves frames, ActionCableMock
+    // speaks the protocol, so wire clients and in-process subscriptions share
+    // one set of subscriptions and one message history
+    mockServer.on('connection', socket => {
+      logger.debug('WebSocket connection established', { data: { url: socket.url } });
+      
+      // With { close: true } the socket closes once the frame arrives, so a
+      // disconnect frame isn't cut off by the close behind it on a slow link
+      const connection = cable.openConnection((frame, { close = false } = {}) => {
+        const outcome = networkShaper.transmit('down', JSON.stringify(frame), payload => {
+          // The socket may have closed while the frame was underway
+          if (socket.readyState === 1) {
+            socket.send(payload);
+          }
+          if (close) {
+            socket.close();
+          }
+        });
+        // A lost disconnect frame still ends the connection
+        if (close && outcome === 'dropped') {
+          socket.close();
         }
-        
-        // Handle actions
-        else if (message.command === 'message') {
-          const identifier = JSON.parse(message.identifier);
-          const data = JSON.parse(message.data);
-          console.log('Handling action:', data.action, 'for channel:', identifier);
+      }, {
+        url: socket.url,
+        close: () => socket.close(),
+        protocols: offeredProtocols,
+        cookies: readCookies(currentWindow)
+      });
+      
+      // Handle messages from the client
+      socket.on('message', data => {
+        // Sockets outliving a teardown have nobody to talk to
+        if (!networkShaper) {
+          return;
         }
-      } catch (error) {
-        console.error('Error handling WebSocket message:', error);
-      }
+        networkShaper.transmit('up', data, payload => {
+          try {
+            const message = JSON.parse(payload);
+            logger.debug('Received WebSocket frame', { identifier: message.identifier, connectionId: connection.id, frame: message });
+            cable.receiveCommand(connection, message);
+          } catch (error) {
+            logger.error('Error handling WebSocket frame', { connectionId: connection.id, frame: payload, error });
+          }
+        });
+      });
+      
+      socket.on('close', () => {
+        cable.closeConnection(connection);
+      });
     });
     
-    // Send welcome message (this is what ActionCable does)
-    socket.send(JSON.stringify({
-      type: 'welcome'
-    }));
+    return mockServer;
   });
   
+  attachMockActionCable(targetWindow);
+  
+  logger.info(`Mock WebSocket server running on: ${mockUrls.join(', ')}`);
+  
+  return { mockServer: mockServers[0], mockServers, actionCableMock };
+};
+
+// Install the current mock into a window
+// Meant to run before any application script, e.g. from cy.visit's onBeforeLoad
+// or a window:before:load listener, so the app finds the mock when it boots
+export const attachMockActionCable = (win) => {
+  if (!actionCableMock) {
+    throw new Error('Mock ActionCable is not set up. Call setupMockActionCable() first');
+  }
+  
   // Replace window.App.cable with our mock for testing
-  window.App = window.App || {};
-  window.App.cable = actionCableMock;
+  win.App = win.App || {};
+  win.App.cable = actionCableMock;
   
   // Also expose the mock for direct access if needed
-  window.mockActionCable = actionCableMock;
+  win.mockActionCable = actionCableMock;
   
-  console.log('Mock WebSocket server running on:', WS_URL);
+  // Pings and delays follow the application's clock, so cy.clock() controls them
+  actionCableMock.useTimers(win);
   
-  return { mockServer, actionCableMock };
+  // Route real consumers (createConsumer, Turbo Streams) to the mock server
+  installWebSocketInterceptor(win, url => mockUrls.some(mockUrl => isSameCableUrl(url, mockUrl)));
+  
+  attachedWindows.add(win);
+  currentWindow = win;
+  return actionCableMock;
 };
 
+// Access the mock for the running test, wherever it was installed
+export const getMockActionCable = () => actionCableMock;
+
+// Shape traffic between clients and the mock server from now on
+// profile is a name from NETWORK_PROFILES or custom conditions; options.seed makes runs repeatable
+// Delays run on the mock's timers, so cy.clock() controls them
+export const setNetworkConditions = (profile = 'online', options = {}) => {
+  if (!actionCableMock) {
+    throw new Error('Mock ActionCable is not set up. Call setupMockActionCable() first');
+  }
+  
+  const cable = actionCableMock;
+  networkShaper = new NetworkShaper(profile, {
+    ...options,
+    schedule: (callback, delay) => cable.schedule(callback, delay),
+    now: () => cable.now()
+  });
+  logger.info(`Network conditions: ${typeof profile === 'string' ? profile : JSON.stringify(profile)} (seed ${networkShaper.seed})`);
+  return networkShaper;
+};
+
+// Frame counts per direction since the conditions were last set
+export const getNetworkStats = () => networkShaper ? networkShaper.stats : null;
+
+// Where the replay of a recorded session stands, null without one
+export const getReplayProgress = () => cableReplayer ? cableReplayer.progress() : null;
+
+// Record the real cable instead of mocking it: connections to the cable URL(s)
+// reach the server as usual while their frames are captured
+// options.logging takes the same values as the mock's logging option
+export const setupCableRecording = (targetWindow = window, options = {}) => {
+  const { url = DEFAULT_WS_URL, name, logging } = options;
+  logger = new MockLogger({ ...normalizeLogging(logging), prefix: '[CableRecorder]' });
+  recordedUrls = [].concat(url);
+  cableRecorder = new CableRecorder({ urls: recordedUrls, name });
+  attachCableRecording(targetWindow);
+  logger.info(`Recording cable sessions on: ${recordedUrls.join(', ')}`);
+  return cableRecorder;
+};
+
+// Install the recorder into a window, before the application scripts run
+export const attachCableRecording = (win) => {
+  if (!cableRecorder) {
+    throw new Error('Cable recording is not set up. Call setupCableRecording() first');
+  }
+  
+  const recorder = cableRecorder;
+  installWebSocketInterceptor(win, () => false, {
+    observe: (socket, socketUrl) => {
+      if (recordedUrls.some(recordedUrl => isSameCableUrl(socketUrl, recordedUrl))) {
+        recorder.attach(socket);
+      }
+    }
+  });
+  attachedWindows.add(win);
+  return recorder;
+};
+
+// The recorder of the running test, null when not recording
+export const getCableRecorder = () => cableRecorder;
+
 // Teardown function
 export const teardownMockActionCable = () => {
-  if (mockServer) {
-    mockServer.stop();
-    mockServer = null;
+  // Clear the mocked cable from every window it was installed into.
+  // Done first so the mock server restores the original WebSocket last
+  attachedWindows.forEach(win => {
+    restoreWebSocket(win);
+    
+    if (win.App && win.App.cable) {
+      delete win.App.cable;
+    }
+    
+    if (win.mockActionCable) {
+      delete win.mockActionCable;
+    }
+  });
+  attachedWindows.clear();
+  currentWindow = null;
+  
+  // Stop in reverse order so each server restores the WebSocket it replaced
+  mockServers.slice().reverse().forEach(mockServer => mockServer.stop());
+  mockServers = [];
+  mockUrls = [];
+  networkShaper = null;
+  
+  if (cableReplayer) {
+    cableReplayer.stop();
+    cableReplayer = null;
   }
+  cableRecorder = null;
+  recordedUrls = [];
   
   if (actionCableMock) {
+    // Stops the ping timers of clients still connected
+    actionCableMock.getConnections().forEach(connection => actionCableMock.closeConnection(connection));
     actionCableMock.disconnect();
+    logger.debug('Mock ActionCable torn down');
     actionCableMock = null;
   }
-  
-  // Clear the mocked cable
-  if (window.App && window.App.cable) {
-    delete window.App.cable;
-  }
-  
-  if (window.mockActionCable) {
-    delete window.mockActionCable;
-  }
-  
-  console.log('Mock ActionCable torn down');
+  logger = new MockLogger({ prefix: '[ActionCable transport]' });
 };
@@ -0,0 +1,159 @@
+// Network Shaping for the Mock Transport
+//
+// RESPONSIBILITIES:
+// 1. Named network profiles and custom per-direction conditions
+// 2. Delay, drop, reorder and throttle frames between client and mock server
+// 3. Reproducible randomness through a seeded generator
+//
+// Directions are seen from the client: "up" is client to server,
+// "down" is server to client. Under the 'online' profile frames pass
+// through synchronously, exactly as without shaping.
+//
+
+// Conditions of one direction
+// latency and jitter in ms, drop and reorder as probabilities (0-1),
+// bandwidth in kbit/s (0 means unlimited)
+const PASS_THROUGH = {
+  latency: 0,
+  jitter: 0,
+  drop: 0,
+  reorder: 0,
+  bandwidth: 0
+};
+
+// Throughput and latency values follow the Chrome DevTools presets
+export const NETWORK_PROFILES = {
+  'online': {},
+  '3g': { latency: 560, jitter: 100, down: { bandwidth: 1440 }, up: { bandwidth: 675 } },
+  'slow-3g': { latency: 2000, jitter: 400, bandwidth: 400 },
+  'flaky-wifi': { latency: 40, jitter: 200, drop: 0.05, reorder: 0.1 },
+  'satellite': { latency: 600, jitter: 50, bandwidth: 5000 }
+};
+
+/**
+ * Small seeded pseudo random generator (mulberry32)
+ *
+ * @param {number} seed - Any integer
+ * @returns {function} - Returns numbers in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Resolve a profile name or custom conditions into per-direction conditions
+ * Custom conditions apply to both directions, `up` and `down` override one:
+ * { latency: 100, drop: 0.01, down: { bandwidth: 500 } }
+ *
+ * @param {string|object} profile - Profile name or conditions
+ * @returns {object} - { up, down }
+ */
+export const resolveNetworkProfile = (profile = 'online') => {
+  const conditions = typeof profile === 'string' ? NETWORK_PROFILES[profile] : profile;
+  if (!conditions || typeof conditions !== 'object') {
+    throw new Error(`Unknown network profile '${profile}'. Use one of: ${Object.keys(NETWORK_PROFILES).join(', ')}, or custom conditions`);
+  }
+
+  const { up = {}, down = {}, seed, ...shared } = conditions;
+  return {
+    up: { ...PASS_THROUGH, ...shared, ...up },
+    down: { ...PASS_THROUGH, ...shared, ...down }
+  };
+};
+
+// Whether a direction leaves frames untouched
+const isPassThrough = (conditions) => {
+  return Object.keys(PASS_THROUGH).every(key => !conditions[key]);
+};
+
+export class NetworkShaper {
+  /**
+   * @param {string|object} profile - Profile name or custom conditions
+   * @param {object} options
+   * @param {number} options.seed - Seed for drops, jitter and reordering (default: random)
+   * @param {function} options.schedule - (callback, delay) => void, defaults to setTimeout
+   * @param {function} options.now - Current time in ms, defaults to Date.now
+   */
+  constructor(profile = 'online', options = {}) {
+    const {
+      seed = (typeof profile === 'object' && profile.seed) || Math.floor(Math.random() * 2 ** 32),
+      schedule = (callback, delay) => setTimeout(callback, delay),
+      now = () => Date.now()
+    } = options;
+
+    this.profile = profile;
+    this.conditions = resolveNetworkProfile(profile);
+    this.seed = seed;
+    this._random = createRandom(seed);
+    this._schedule = schedule;
+    this._now = now;
+
+    // Per direction: when the link is free again and when the last in-order frame arrives
+    this._linkFreeAt = { up: 0, down: 0 };
+    this._lastArrival = { up: 0, down: 0 };
+
+    this.stats = {
+      up: { sent: 0, delivered: 0, dropped: 0, reordered: 0 },
+      down: { sent: 0, delivered: 0, dropped: 0, reordered: 0 }
+    };
+  }
+
+  /**
+   * Carry a frame across the shaped link
+   *
+   * @param {string} direction - 'up' or 'down'
+   * @param {string} payload - Serialized frame
+   * @param {function} deliver - Receives the payload on arrival
+   * @returns {string} - 'delivered' (synchronously), 'scheduled' or 'dropped'
+   */
+  transmit(direction, payload, deliver) {
+    const conditions = this.conditions[direction];
+    const stats = this.stats[direction];
+    stats.sent++;
+
+    if (isPassThrough(conditions)) {
+      stats.delivered++;
+      deliver(payload);
+      return 'delivered';
+    }
+
+    if (conditions.drop && this._random() < conditions.drop) {
+      stats.dropped++;
+      return 'dropped';
+    }
+
+    const now = this._now();
+
+    // Frames queue on a throttled link: kbit/s is bits per millisecond
+    const size = typeof payload === 'string' ? payload.length : 0;
+    const transfer = conditions.bandwidth ? (size * 8) / conditions.bandwidth : 0;
+    const start = Math.max(now, this._linkFreeAt[direction]);
+    this._linkFreeAt[direction] = start + transfer;
+
+    const jitter = conditions.jitter ? (this._random() * 2 - 1) * conditions.jitter : 0;
+    let arrival = start + transfer + Math.max(0, conditions.latency + jitter);
+
+    // In-order frames never overtake each other; a reordered frame is held
+    // back so the next ones overtake it
+    if (conditions.reorder && this._random() < conditions.reorder) {
+      stats.reordered++;
+      arrival += Math.max(conditions.latency, conditions.jitter, 50);
+    } else {
+      arrival = Math.max(arrival, this._lastArrival[direction]);
+      this._lastArrival[direction] = arrival;
+    }
+
+    this._schedule(() => {
+      stats.delivered++;
+      deliver(payload);
+    }, Math.round(arrival - now));
+    return 'scheduled';
+  }
+}
@@ -0,0 +1,110 @@
+// Broadcast Streams of the Action Cable Mock
+//
+// RESPONSIBILITIES:
+// 1. Keep the stream declarations of channel definitions, like stream_from
+//    and stream_for in a Rails channel's #subscribed
+// 2. Work out which streams a subscription joins from its identifier params
+// 3. Name broadcastings the way Rails does for stream_for / broadcast_to
+//
+// Streams only depend on the identifier, so every subscription with the same
+// identifier, on any consumer, joins the same streams. The mock delivers a
+// broadcast to the confirmed subscriptions whose streams include it.
+//
+
+/**
+ * Rails' channel_name: 'ChatChannel' -> 'chat', 'Admin::NotificationsChannel' -> 'admin:notifications'
+ *
+ * @param {string} channelName - Channel class name
+ * @returns {string}
+ */
+export const channelNameToBroadcasting = (channelName) => {
+  return channelName
+    .replace(/Channel$/, '')
+    .replace(/::/g, ':')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .replace(/([a-z\d])([A-Z])/g, '$1_$2')
+    .toLowerCase();
+};
+
+// Rails' serialize_broadcasting: arrays are joined with ':', records give their GlobalID
+const serializeModel = (model) => {
+  if (Array.isArray(model)) {
+    return model.map(serializeModel).join(':');
+  }
+  if (model && typeof model === 'object') {
+    return String(model.to_gid_param || model.id);
+  }
+  return String(model);
+};
+
+/**
+ * Name of the broadcasting stream_for(model) and broadcast_to(model) use
+ * Example: broadcastingFor('NotificationsChannel', 42) -> 'notifications:42'
+ *
+ * @param {string} channelName - Channel class name
+ * @param {*} model - Id, string, { to_gid_param } or { id }, or an array of them
+ * @returns {string}
+ */
+export const broadcastingFor = (channelName, model) => {
+  return `${channelNameToBroadcasting(channelName)}:${serializeModel(model)}`;
+};
+
+export class StreamRegistry {
+  constructor() {
+    // Stream declarations by channel name: (params, ctx) => stream name(s)
+    this._declarations = {};
+
+    // Identifiers ever subscribed, so broadcasts the application misses while offline are noticed
+    this._identifiers = new Set();
+  }
+
+  /**
+   * Declare the streams of a channel's subscriptions
+   *
+   * @param {string} channelName - Channel class name, e.g. 'ChatChannel'
+   * @param {function} streams - Receives the identifier params and { channel, streamFor },
+   *   returns a stream name or an array of them
+   */
+  declare(channelName, streams) {
+    if (typeof streams !== 'function') {
+      throw new Error(`Streams of ${channelName} must be a function of the subscription params`);
+    }
+    this._declarations[channelName] = streams;
+  }
+
+  /**
+   * Remember an identifier that was subscribed to
+   *
+   * @param {string} identifier - Channel identifier as a JSON string
+   */
+  track(identifier) {
+    this._identifiers.add(identifier);
+  }
+
+  /**
+   * Identifiers ever subscribed to, oldest first
+   */
+  trackedIdentifiers() {
+    return Array.from(this._identifiers);
+  }
+
+  /**
+   * Streams a subscription with this identifier joins
+   *
+   * @param {object} identifier - Parsed identifier: { channel, ...params }
+   * @returns {string[]} - Stream names, empty without a declaration
+   */
+  streamsFor(identifier) {
+    const { channel, ...params } = identifier;
+    const streams = this._declarations[channel];
+    if (!streams) {
+      return [];
+    }
+
+    const declared = streams(params, {
+      channel,
+      streamFor: model => broadcastingFor(channel, model)
+    });
+    return [].concat(declared || []).map(String);
+  }
+}
@@ -0,0 +1,136 @@
+// Strict Mode of the Action Cable Mock
+//
+// RESPONSIBILITIES:
+// 1. Decide which traffic counts as a mistake: broadcasts nobody receives,
+//    actions without a handler, subscriptions to undefined channels,
+//    errors thrown by subscription callbacks and traffic breaking a channel
+//    contract
+// 2. Let expected noise through an allowlist
+// 3. Fail the running test with a message naming the violation
+//
+// Violations are thrown outside the code that caused them, on the next turn
+// of the event loop: the mock sits between the application and its callbacks,
+// and an error thrown there would end up in the application's own try/catch
+// or the transport's. cy.mockActionCable() doesn't throw them at all: a timer
+// may fire once the next test runs, so the commands fail the test with
+// violationsError() from a check queued after the test's own commands.
+//
+
+export const STRICT_CHECKS = ['unhandledBroadcasts', 'unknownActions', 'unknownChannels', 'callbackErrors', 'contracts'];
+
+/**
+ * Turn a strict option into strict mode settings
+ * true turns every check on, false every check off; an object turns on the
+ * checks it sets to true, or every check when it names none ({ allow })
+ *
+ * @param {boolean|object} strict - Option value, or { ...checks, allow, fail }
+ * @returns {object} - The settings given, undefined ones left out
+ */
+export const normalizeStrict = (strict) => {
+  if (strict === undefined || strict === null) {
+    return {};
+  }
+  if (typeof strict === 'boolean') {
+    return Object.fromEntries(STRICT_CHECKS.map(check => [check, strict]));
+  }
+  const { fail, allow, ...checks } = strict;
+  const named = Object.keys(checks).filter(check => checks[check] !== undefined);
+  // fail alone leaves the checks as they are
+  if (fail && allow === undefined && named.length === 0) {
+    return { fail };
+  }
+  const defaults = Object.fromEntries(STRICT_CHECKS.map(check => [check, named.length === 0]));
+  return { ...defaults, ...Object.fromEntries(Object.entries(strict).filter(([, value]) => value !== undefined)) };
+};
+
+// How errors name the check a violation broke
+const labelOf = (kind) => (kind === 'contracts' ? 'Action Cable contract' : `Action Cable strict mode (${kind})`);
+
+/**
+ * One error for every violation of a test, to fail it with once it ran
+ *
+ * @param {object[]} violations - Violations as StrictMode#report returns them
+ * @returns {Error}
+ */
+export const violationsError = (violations) => {
+  const count = violations.length === 1 ? '1 violation' : `${violations.length} violations`;
+  return new Error(`Action Cable caught ${count} during the test:\n` +
+    violations.map(violation => `  - ${labelOf(violation.kind)}: ${violation.message}`).join('\n') +
+    "\nAllow them with strict: { allow: [...] } or turn the checks off");
+};
+
+// What allowlist strings and patterns are compared against
+const allowTargets = (violation) => {
+  const { channel, action, stream } = violation;
+  return [channel, channel && action ? `${channel}#${action}` : null, stream].filter(Boolean);
+};
+
+export class StrictMode {
+  /**
+   * @param {object} options - Checks to run by name (see STRICT_CHECKS, default: none), plus
+   * @param {array} options.allow - Violations to let through: channel names, 'Channel#action',
+   *   stream names, regular expressions matching any of those or the message, or
+   *   functions receiving the violation
+   * @param {function} options.fail - Receives the error of each violation (default: throw it uncaught)
+   */
+  constructor(options = {}) {
+    const { allow = [], fail = null, ...checks } = options;
+
+    const unknown = Object.keys(checks).filter(check => !STRICT_CHECKS.includes(check));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown strict check '${unknown[0]}'. Use one of: ${STRICT_CHECKS.join(', ')}`);
+    }
+
+    this.checks = checks;
+    this.allow = [].concat(allow);
+    this.fail = fail || (error => setTimeout(() => { throw error; }, 0));
+  }
+
+  /**
+   * Whether any check is on
+   */
+  get enabled() {
+    return STRICT_CHECKS.some(check => this.checks[check]);
+  }
+
+  /**
+   * Whether the allowlist lets a violation through
+   *
+   * @param {object} violation - { kind, message, channel, action, stream, ... }
+   */
+  allowed(violation) {
+    const targets = allowTargets(violation);
+    return this.allow.some(entry => {
+      if (typeof entry === 'function') {
+        return !!entry(violation);
+      }
+      if (entry instanceof RegExp) {
+        return [...targets, violation.message].some(target => entry.test(target));
+      }
+      return targets.includes(entry);
+    });
+  }
+
+  /**
+   * Check a violation and fail the test with it, unless its check is off or it's allowed
+   *
+   * @param {string} kind - Check it violates, see STRICT_CHECKS
+   * @param {object} details - { message, channel, identifier, action, stream, peer, data, error,
+   *   timestamp (default: now) }
+   * @returns {object|null} - The violation, null when it was let through
+   */
+  report(kind, details) {
+    const violation = { kind, timestamp: new Date().toISOString(), ...details };
+    if (!this.checks[kind] || this.allowed(violation)) {
+      return null;
+    }
+
+    const error = new Error(`${labelOf(kind)}: ${violation.message}. ` +
+      "Allow it with strict: { allow: [...] } or turn the check off");
+    if (violation.error && violation.error.stack) {
+      error.stack = `${error.stack}\nCaused by: ${violation.error.stack}`;
+    }
+    this.fail(error, violation);
+    return violation;
+  }
+}
@@ -0,0 +1,97 @@
+// WebSocket Constructor Interception for the Application Window
+//
+// RESPONSIBILITIES:
+// 1. Replace the global WebSocket constructor in the application window
+// 2. Route connections for mocked cable URLs to the mock-socket server
+// 3. Leave every other connection (dev server HMR, third parties) untouched
+//
+// This is what lets a real Action Cable consumer, created with
+// createConsumer() from @rails/actioncable (including Turbo Streams'
+// cable_stream_source), talk to the mock without any application changes.
+// It has to run before the application scripts, because @rails/actioncable
+// captures the WebSocket constructor when its module is evaluated.
+//
+import { WebSocket as MockWebSocket } from 'mock-socket';
+
+// WebSocket ready states, enumerable like the native constants.
+// @rails/actioncable iterates them to derive the connection state
+const READY_STATES = {
+  CONNECTING: 0,
+  OPEN: 1,
+  CLOSING: 2,
+  CLOSED: 3
+};
+
+/**
+ * Compare two WebSocket URLs by origin and path, ignoring query strings
+ *
+ * @param {string} url - URL requested by the application
+ * @param {string} mockedUrl - URL served by the mock server
+ * @returns {boolean} - Whether the connection should go to the mock
+ */
+export const isSameCableUrl = (url, mockedUrl) => {
+  try {
+    const requested = new URL(url);
+    const mocked = new URL(mockedUrl);
+    return requested.protocol === mocked.protocol &&
+      requested.host === mocked.host &&
+      requested.pathname.replace(/\/$/, '') === mocked.pathname.replace(/\/$/, '');
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Install the intercepting WebSocket constructor into a window
+ *
+ * @param {Window} win - The application window
+ * @param {function} shouldMock - Receives the requested URL, returns true to use the mock server
+ * @param {object} options
+ * @param {function} options.observe - Receives (socket, url) for every native socket, e.g. to record it
+ * @returns {function} - The installed constructor
+ */
+export const installWebSocketInterceptor = (win, shouldMock, options = {}) => {
+  const { observe = null } = options;
+
+  // Already installed in this document
+  if (win.WebSocket && win.WebSocket.OriginalWebSocket) {
+    return win.WebSocket;
+  }
+
+  const OriginalWebSocket = win.WebSocket;
+
+  function InterceptingWebSocket(url, protocols) {
+    if (shouldMock(String(url))) {
+      return new MockWebSocket(url, protocols);
+    }
+    const socket = new OriginalWebSocket(url, protocols);
+    if (observe) {
+      observe(socket, String(url));
+    }
+    return socket;
+  }
+
+  Object.keys(READY_STATES).forEach(state => {
+    Object.defineProperty(InterceptingWebSocket, state, {
+      value: READY_STATES[state],
+      enumerable: true
+    });
+  });
+
+  InterceptingWebSocket.prototype = MockWebSocket.prototype;
+  InterceptingWebSocket.OriginalWebSocket = OriginalWebSocket;
+
+  win.WebSocket = InterceptingWebSocket;
+  return InterceptingWebSocket;
+};
+
+/**
+ * Put the native WebSocket constructor back
+ *
+ * @param {Window} win - The application window
+ */
+export const restoreWebSocket = (win) => {
+  if (win.WebSocket && win.WebSocket.OriginalWebSocket) {
+    win.WebSocket = win.WebSocket.OriginalWebSocket;
+  }
+};
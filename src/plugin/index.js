@@ -0,0 +1,60 @@
+// Node-side Plugin Entry for setupNodeEvents
+//
+// RESPONSIBILITIES:
+// 1. Register the tasks the browser side of the plugin relies on
+// 2. Write the Action Cable traffic log of finished tests to disk, for CI artifacts
+// 3. Tell the browser side which tests to export, through Cypress.env
+//
+// Usage in cypress.config.js:
+//   const { actionCablePlugin } = require('cypress-action-cable/plugin')
+//   setupNodeEvents(on, config) {
+//     return actionCablePlugin(on, config, { saveTraffic: 'failed' })
+//   }
+//
+import * as fs from 'fs';
+import * as path from 'path';
+import { TRAFFIC_TASK } from '../helpers/traffic-log';
+
+// Which tests get their traffic written
+export const SAVE_TRAFFIC_MODES = ['failed', 'always', 'never'];
+
+// File name for a test's traffic log: spec and test title, without path separators
+const trafficFileName = ({ spec, title, attempt }) => {
+  const base = `${path.basename(spec || 'spec')}__${title || 'test'}${attempt ? `__attempt-${attempt + 1}` : ''}`;
+  return `${base.replace(/[^\w.-]+/g, '-').slice(0, 200)}.json`;
+};
+
+/**
+ * Register the plugin's tasks
+ *
+ * @param {function} on - setupNodeEvents' on
+ * @param {object} config - setupNodeEvents' config
+ * @param {object} options
+ * @param {string} options.saveTraffic - 'failed' (default), 'always' or 'never'
+ * @param {string} options.trafficFolder - Folder for traffic logs, relative to the project (default: 'cypress/action-cable')
+ * @param {boolean} options.redact - Redact query string values and connection params in traffic logs (default: true)
+ * @returns {object} - The config, to be returned from setupNodeEvents
+ */
+export const actionCablePlugin = (on, config, options = {}) => {
+  const { saveTraffic = 'failed', trafficFolder = 'cypress/action-cable', redact = true } = options;
+  if (!SAVE_TRAFFIC_MODES.includes(saveTraffic)) {
+    throw new Error(`Unknown saveTraffic '${saveTraffic}'. Use one of: ${SAVE_TRAFFIC_MODES.join(', ')}`);
+  }
+
+  const folder = path.resolve(config.projectRoot || process.cwd(), trafficFolder);
+
+  on('task', {
+    // Write one test's traffic log; yields the file path
+    [TRAFFIC_TASK]: ({ spec, title, attempt, log }) => {
+      fs.mkdirSync(folder, { recursive: true });
+      const file = path.join(folder, trafficFileName({ spec, title, attempt }));
+      fs.writeFileSync(file, JSON.stringify(log, null, 2));
+      return file;
+    }
+  });
+
+  config.env = { ...config.env, actionCableTraffic: saveTraffic, actionCableTrafficRedact: redact };
+  return config;
+};
+
+export default actionCablePlugin;
@@ -22,26 +22,408 @@ export interface ActionCableMessage {
   [key: string]: any;
 }
 
+/**
+ * Entry in the mock's message journal
+ */
+export interface ACMessageEntry {
+  type: 'incoming' | 'outgoing' | 'system';
+  event?: string;
+  identifier: string | null;
+  channel: string | null;
+  data?: any;
+  action?: string;
+  connectionId: string | null;
+  /** Name of the peer the entry concerns, absent for the application's traffic */
+  peer?: string;
+  /** Named stream an incoming message was broadcast to */
+  stream?: string;
+  timestamp: string;
+}
+
+/**
+ * Subscription lifecycle state
+ */
+export type ACSubscriptionState = 'pending' | 'confirmed' | 'rejected' | 'unsubscribed';
+
+/**
+ * Decides how a new subscription is answered
+ */
+export type ACSubscriptionPolicy = boolean | ((
+  identifier: { channel: string; [key: string]: any },
+  subscription: ACSubscription
+) => 'confirm' | 'reject' | 'pending' | boolean);
+
+/**
+ * Picks subscriptions by their parsed identifier, see findSubscriptions
+ */
+export type ACSubscriptionPredicate = (
+  identifier: { channel: string; [key: string]: any },
+  subscription: ACSubscription
+) => boolean;
+
 /**
  * ActionCable subscription interface
  */
 export interface ACSubscription {
   identifier: string;
+  /** Wire connection the subscription came in on, null for in-process subscriptions */
+  connection?: ACConnection | null;
+  state: ACSubscriptionState;
+  confirmed: boolean;
   perform: (action: string, data?: any) => void;
   unsubscribe: () => void;
 }
 
+/**
+ * Client connected to the mock over the WebSocket transport
+ */
+export interface ACConnection {
+  id: string;
+  url: string | null;
+  params: { [key: string]: string };
+  send: (frame: { [key: string]: any }) => void;
+  /** Closes the client's socket from the server side */
+  close: (() => void) | null;
+  /** Pings sent over this connection */
+  pings: number;
+}
+
+/**
+ * What happens to traffic while the network is down
+ */
+export interface ACOfflinePolicy {
+  perform?: 'drop' | 'error' | 'buffer';
+  broadcasts?: 'drop' | 'buffer';
+  replay?: boolean;
+}
+
+/**
+ * A message lost to the network
+ */
+export interface ACLostMessage extends ACMessageEntry {
+  direction: 'up' | 'down';
+  reason: 'offline' | 'discarded' | 'unsubscribed';
+}
+
+/**
+ * A real cable session captured by CableRecorder
+ */
+export interface ACRecordedSession {
+  version: number;
+  recordedAt: string;
+  urls: string[];
+  channels: string[];
+  duration: number;
+  frames: Array<{ at: number; connection: number; direction: 'up' | 'down'; frame: any }>;
+}
+
+/**
+ * Pace of a replayed session: recorded delays, none, or sped up by a factor
+ */
+export type ACReplayPace = 'original' | 'compressed' | number;
+
+/**
+ * Traffic log of one test, see helpers/traffic-log.js
+ */
+export interface ACTrafficLog {
+  version: number;
+  creator: string;
+  test: { title: string; spec: string; state: string; attempt: number } | null;
+  startedAt: string | null;
+  endedAt: string | null;
+  connections: Array<{ id: string; url: string | null; params: { [key: string]: string }; protocols: string[]; cookies: string[]; outcome: string; open: boolean; pings: number | null }>;
+  subscriptions: Array<{ identifier: string; channel: string; connectionId: string | null; state: ACSubscriptionState; subscribedAt: string; settledAt: string | null; unsubscribedAt: string | null }>;
+  entries: Array<ACMessageEntry & { offset: number }>;
+  network: { [direction: string]: any } | null;
+}
+
+/**
+ * Clock driving the mock's delays, pings and interruptions
+ */
+export interface ACMockClock {
+  timing: 'app' | 'virtual';
+  isFaked: () => boolean;
+  setTimeout: (callback: () => void, delay: number) => any;
+  clearTimeout: (handle: any) => void;
+  now: () => number;
+  advance: (ms: number) => number;
+  advanceAsync: (ms: number) => Promise<number>;
+  pending: () => number;
+}
+
+/**
+ * Log levels, from quietest to most verbose
+ */
+export type ACLogLevel = 'silent' | 'error' | 'info' | 'debug';
+
+/**
+ * Logging settings: a level, true ('debug'), false ('silent') or the full settings
+ */
+export type ACLoggingOption = boolean | ACLogLevel | {
+  level?: ACLogLevel;
+  /** Only log entries about these channels */
+  channels?: string[];
+  /** Show entries in the Cypress command log instead of the console */
+  commandLog?: boolean;
+};
+
+/**
+ * Structured details of a log entry
+ */
+export interface ACLogDetails {
+  channel?: string | null;
+  identifier?: string | null;
+  connectionId?: string | null;
+  frame?: any;
+  data?: any;
+  error?: any;
+}
+
+/**
+ * Levelled logger of the mock
+ */
+export interface ACMockLogger {
+  level: ACLogLevel;
+  channels: string[] | null;
+  commandLog: boolean;
+  enabled: (level: 'error' | 'warn' | 'info' | 'debug', channel?: string | null) => boolean;
+  log: (level: 'error' | 'warn' | 'info' | 'debug', message: string, details?: ACLogDetails) => void;
+  error: (message: string, details?: ACLogDetails) => void;
+  warn: (message: string, details?: ACLogDetails) => void;
+  info: (message: string, details?: ACLogDetails) => void;
+  debug: (message: string, details?: ACLogDetails) => void;
+}
+
+/**
+ * Traffic strict mode checks for
+ */
+export type ACStrictCheck = 'unhandledBroadcasts' | 'unknownActions' | 'unknownChannels' | 'callbackErrors' | 'contracts';
+
+/**
+ * Something strict mode caught
+ */
+export interface ACViolation {
+  kind: ACStrictCheck;
+  message: string;
+  channel: string | null;
+  identifier: string | null;
+  action?: string;
+  stream: string | null;
+  peer: string | null;
+  data?: any;
+  error?: any;
+  timestamp: string;
+}
+
+/**
+ * Strict mode settings: true runs every check, false none; an object runs the checks it sets to true, or all when it sets none
+ */
+export type ACStrictOption = boolean | ({ [check in ACStrictCheck]?: boolean } & {
+  /** Channel names, 'Channel#action', stream names, patterns or predicates to let through */
+  allow?: Array<string | RegExp | ((violation: ACViolation) => boolean)>;
+});
+
+/**
+ * Options accepted by ActionCableMock and cy.mockActionCable
+ */
+export interface ACMockOptions {
+  autoConfirm?: ACSubscriptionPolicy;
+  welcomeDelay?: number;
+  logging?: ACLoggingOption;
+  strict?: ACStrictOption;
+  ping?: ACPingOptions | boolean;
+  authenticate?: ACAuthenticationPolicy | null;
+  offline?: ACOfflinePolicy;
+  /** 'app' (default) follows the application's timers, 'virtual' only moves with advanceTime() */
+  timing?: 'app' | 'virtual';
+  /** Transport only: recorded session to play back */
+  replay?: { session: ACRecordedSession; pace?: ACReplayPace };
+  /** Transport only: network profile applied from the start */
+  network?: ACNetworkProfile;
+  /** Channel contracts to validate traffic against */
+  contracts?: ACContractsExport | { [channelName: string]: ACChannelContract };
+}
+
+/**
+ * Credentials a WebSocket client presented when connecting
+ */
+export interface ACConnectionRequest {
+  url: string | null;
+  params: { [key: string]: string };
+  protocols: string[];
+  cookies: { [key: string]: string };
+}
+
+/**
+ * Decides whether a WebSocket client is welcomed, rejected as unauthorized or dropped
+ */
+export type ACAuthenticationPolicy = (request: ACConnectionRequest) => 'welcome' | 'reject' | 'close' | boolean | void;
+
+/**
+ * Server-initiated disconnect, as sent in { type: 'disconnect', reason, reconnect }
+ */
+export interface ACDisconnectOptions {
+  reason?: 'unauthorized' | 'invalid_request' | 'server_restart' | 'remote';
+  reconnect?: boolean;
+}
+
+/**
+ * Network conditions of one direction
+ * latency and jitter in ms, drop and reorder as probabilities, bandwidth in kbit/s (0: unlimited)
+ */
+export interface ACLinkConditions {
+  latency?: number;
+  jitter?: number;
+  drop?: number;
+  reorder?: number;
+  bandwidth?: number;
+}
+
+/**
+ * Named network profile or custom conditions; up and down override one direction
+ */
+export type ACNetworkProfile = string | (ACLinkConditions & {
+  up?: ACLinkConditions;
+  down?: ACLinkConditions;
+  seed?: number;
+});
+
+/**
+ * Keepalive pings sent to wire clients, in milliseconds
+ */
+export interface ACPingOptions {
+  interval?: number;
+  jitter?: number;
+}
+
+/**
+ * Context handed to channel handlers
+ */
+export interface ACHandlerContext {
+  mock: ACMock;
+  subscription: ACSubscription;
+  identifier: { channel: string; [key: string]: any };
+  params: ChannelParams;
+  action: string;
+  transmit: (message: ActionCableMessage) => boolean;
+  broadcast: (message: ActionCableMessage) => boolean;
+  broadcastTo: (channelIdentifier: ChannelIdentifier, message: ActionCableMessage) => boolean;
+  broadcastToStream: (stream: string, message: ActionCableMessage) => number;
+  /** Name of the peer that performed, null for the application */
+  peer: string | null;
+}
+
+/**
+ * Stream declaration of a channel: the stream name(s) a subscription with these params joins
+ */
+export type ACStreamDeclaration = (
+  params: ChannelParams,
+  ctx: { channel: string; streamFor: (model: any) => string }
+) => string | string[];
+
+/**
+ * Server-side behavior of a channel
+ */
+export interface ACChannelDefinition {
+  streams?: ACStreamDeclaration;
+  actions?: { [action: string]: ACChannelHandler };
+  contract?: ACChannelContract;
+}
+
+/**
+ * JSON Schema; true accepts anything, false nothing
+ */
+export type ACJSONSchema = boolean | { [keyword: string]: any };
+
+/**
+ * What traffic on a channel may look like: schemas of the ChannelIdentifier params,
+ * of each allowed action's payload and of the ActionCableMessage subscribers receive
+ */
+export interface ACChannelContract {
+  params?: ACJSONSchema;
+  actions?: { [action: string]: ACJSONSchema };
+  broadcasts?: ACJSONSchema;
+}
+
+/**
+ * Contracts exported by the Rails application
+ */
+export interface ACContractsExport {
+  version: 1;
+  channels: { [channelName: string]: ACChannelContract };
+  definitions?: { [name: string]: ACJSONSchema };
+}
+
+/**
+ * Virtual peer client: another user on the mocked cable
+ */
+export interface ACMockPeer {
+  name: string;
+  /** Identifier perform() and unsubscribe() address */
+  current: string | null;
+  subscribe: (channelIdentifier: ChannelIdentifier) => ACMockPeer;
+  perform: (action: string, data?: ActionCableMessage) => ACMockPeer;
+  unsubscribe: () => ACMockPeer;
+  getSubscription: (channelIdentifier?: ChannelIdentifier) => ACSubscription | undefined;
+  getMessages: (channelName?: string) => Array<{ identifier: string; channel: string; data: any; timestamp: string }>;
+}
+
+/**
+ * Fake server-side channel action
+ */
+export type ACChannelHandler = (data: ActionCableMessage, ctx: ACHandlerContext) => void;
+
 /**
  * ActionCable mock interface
  */
 export interface ACMock {
+  options: ACMockOptions;
   connected: boolean;
   subscribe: (channelIdentifier: ChannelIdentifier) => ACSubscription;
   getSubscriptions: () => ACSubscription[];
+  resetSubscriptions: () => void;
   simulateReceive: (channelIdentifier: ChannelIdentifier, data: ActionCableMessage) => boolean;
   connect: () => boolean;
-  disconnect: () => boolean;
+  disconnect: (details?: ACDisconnectOptions) => boolean;
   simulateNetworkInterruption: (duration?: number) => Promise<boolean>;
+  openConnection: (send: (frame: { [key: string]: any }) => void, details?: { url?: string; close?: () => void; protocols?: string[]; cookies?: { [key: string]: string } }) => ACConnection;
+  getConnectionRequests: () => Array<ACConnectionRequest & { connectionId: string; outcome: 'welcome' | 'reject' | 'close' }>;
+  confirmSubscription: (channelIdentifier: ChannelIdentifier) => boolean;
+  rejectSubscription: (channelIdentifier: ChannelIdentifier) => boolean;
+  handle: (channelName: string, action: string, handler: ACChannelHandler) => ACMock;
+  getMessages: () => ACMessageEntry[];
+  clearMessages: (filter?: (entry: ACMessageEntry) => boolean) => void;
+  isConnected: () => boolean;
+  receiveCommand: (connection: ACConnection, frame: { [key: string]: any }) => boolean;
+  closeConnection: (connection: ACConnection, options?: { willReconnect?: boolean }) => void;
+  getConnections: () => ACConnection[];
+  serverDisconnect: (options?: ACDisconnectOptions) => boolean;
+  useTimers: (win: Window) => void;
+  schedule: (callback: () => void, delay: number) => any;
+  cancel: (timer: any) => void;
+  now: () => number;
+  advanceTime: (ms: number) => Promise<number>;
+  offline: boolean;
+  goOffline: () => boolean;
+  goOnline: () => boolean;
+  getLostMessages: () => ACLostMessage[];
+  getViolations: () => ACViolation[];
+  observe: (listener: (entry: ACMessageEntry) => void) => () => void;
+  clock: ACMockClock;
+  logger: ACMockLogger;
+  peer: (name: string) => ACMockPeer;
+  getPeers: () => ACMockPeer[];
+  defineChannel: (channelName: string, definition: ACChannelDefinition) => ACMock;
+  defineContract: (channelName: string, contract: ACChannelContract) => ACMock;
+  loadContracts: (exported: ACContractsExport) => ACMock;
+  broadcast: (stream: string, data: ActionCableMessage) => number;
+  broadcastTo: (channelName: string, model: any, data: ActionCableMessage) => number;
+  getStreams: (channelIdentifier: ChannelIdentifier) => string[];
+  findSubscriptions: (query: ChannelIdentifier | ACSubscriptionPredicate) => ACSubscription[];
+  pausePings: () => void;
+  resumePings: () => void;
+  getReconnectAttempts: () => number;
+  resetConnectionAttempts: () => void;
 }
 
 /**